@@ -1,6 +1,12 @@
 module.exports = {
   root: true,
   extends: 'airbnb-base',
+  globals: {
+    // Web APIs used when the environment provides them
+    Blob: 'readonly',
+    DOMParser: 'readonly',
+    TextDecoder: 'readonly',
+  },
   rules: {
     // Allow to use braces if desired
     'arrow-body-style': 0,
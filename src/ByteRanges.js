@@ -0,0 +1,168 @@
+import HeadersContainer from './HeadersContainer';
+import { encodeUtf8, generateMultipartBoundary, getBodyBytes } from './Utils';
+
+/**
+ * Parse a Range request header for a representation of the given size.
+ * See https://www.rfc-editor.org/rfc/rfc9110#section-14.2
+ *
+ * @param {?string} value Range header value
+ * @param {number} size representation size in bytes
+ * @returns {?object[]} satisfiable ranges { start, end } (inclusive byte positions) in the order
+ * requested, or null if the header must be ignored (absent, invalid or not in bytes). An empty
+ * array means that no range is satisfiable.
+ */
+export function parseRangeHeader(value, size) {
+  const match = value !== null && value !== undefined ? /^\s*bytes\s*=(.*)$/i.exec(value) : null;
+  if (match === null) {
+    return null;
+  }
+  const specs = match[1].split(',').map((spec) => spec.trim()).filter((spec) => spec !== '');
+  const ranges = [];
+  const isValid = specs.length > 0 && specs.every((spec) => {
+    const positions = /^(\d*)-(\d*)$/.exec(spec);
+    if (positions === null || (positions[1] === '' && positions[2] === '')) {
+      return false;
+    }
+    if (positions[1] === '') {
+      // Suffix range: the last bytes
+      const suffixLength = Number(positions[2]);
+      if (suffixLength > 0 && size > 0) {
+        ranges.push({ start: Math.max(0, size - suffixLength), end: size - 1 });
+      }
+      return true;
+    }
+    const start = Number(positions[1]);
+    const end = positions[2] !== '' ? Number(positions[2]) : Infinity;
+    if (end < start) {
+      return false;
+    }
+    if (start < size) {
+      ranges.push({ start, end: Math.min(end, size - 1) });
+    }
+    return true;
+  });
+  return isValid ? ranges : null;
+}
+
+/**
+ * Evaluate an If-Range request header. Entity tags are compared with the strong comparison and
+ * dates must exactly match the Last-Modified date.
+ * See https://www.rfc-editor.org/rfc/rfc9110#section-13.1.5
+ *
+ * @param {?string} ifRange If-Range header value
+ * @param {HeadersContainer} headers representation headers
+ * @returns {boolean} whether the Range header applies
+ */
+export function ifRangeMatches(ifRange, headers) {
+  if (ifRange === null) {
+    return true;
+  }
+  const validator = ifRange.trim();
+  if (validator.startsWith('"') || validator.startsWith('W/')) {
+    const etag = headers.getHeader('ETag');
+    return !validator.startsWith('W/') && etag !== null && etag === validator;
+  }
+  const date = Date.parse(validator);
+  const lastModified = Date.parse(headers.getHeader('Last-Modified'));
+  return !Number.isNaN(date) && date === lastModified;
+}
+
+/**
+ * @param {Uint8Array[]} arrays byte arrays
+ * @returns {Uint8Array} concatenation of the byte arrays
+ */
+function concatBytes(arrays) {
+  const result = new Uint8Array(arrays.reduce((length, array) => length + array.length, 0));
+  let offset = 0;
+  arrays.forEach((array) => {
+    result.set(array, offset);
+    offset += array.length;
+  });
+  return result;
+}
+
+/**
+ * Create the multipart/byteranges body of a response with multiple ranges.
+ * See https://www.rfc-editor.org/rfc/rfc9110#section-14.6
+ *
+ * @param {Uint8Array} bytes representation bytes
+ * @param {object[]} ranges ranges { start, end }
+ * @param {?string} contentType representation Content-Type
+ * @param {string} boundary multipart boundary
+ * @returns {Uint8Array} multipart body
+ */
+function createMultipartBody(bytes, ranges, contentType, boundary) {
+  const parts = [];
+  ranges.forEach(({ start, end }, index) => {
+    let headers = `${index > 0 ? '\r\n' : ''}--${boundary}\r\n`;
+    if (contentType !== null) {
+      headers += `Content-Type: ${contentType}\r\n`;
+    }
+    headers += `Content-Range: bytes ${start}-${end}/${bytes.length}\r\n\r\n`;
+    parts.push(encodeUtf8(headers), bytes.subarray(start, end + 1));
+  });
+  parts.push(encodeUtf8(`\r\n--${boundary}--\r\n`));
+  return concatBytes(parts);
+}
+
+/**
+ * @param {HeadersContainer} headers headers
+ * @param {string} name header name
+ * @param {string} value header value that replaces the current one, if any
+ */
+function setHeader(headers, name, value) {
+  headers.removeHeader(name);
+  headers.addHeader(name, value);
+}
+
+/**
+ * Create the response of a static resource to a GET or HEAD request. GET requests with a Range
+ * header (and a matching If-Range header, if any) get a 206 response with the requested range or a
+ * multipart/byteranges body for multiple ranges, or a 416 response when no range is satisfiable.
+ * Partial bodies are Uint8Arrays. Resources with other bodies than strings and BufferSources are
+ * always sent whole.
+ *
+ * @param {string} method request method
+ * @param {HeadersContainer} requestHeaders request headers
+ * @param {object} resource { headers, body } static resource
+ * @returns {object} response object { status, headers, body }
+ */
+export function createRangeResponse(method, requestHeaders, resource) {
+  const headers = new HeadersContainer(resource.headers);
+  const bytes = getBodyBytes(resource.body);
+  const body = method === 'HEAD' ? null : resource.body;
+  if (bytes === null) {
+    return { status: 200, headers: headers.getHash(), body };
+  }
+  setHeader(headers, 'Accept-Ranges', 'bytes');
+
+  const isRangeRequest = method === 'GET'
+    && ifRangeMatches(requestHeaders.getHeader('If-Range'), headers);
+  const ranges = isRangeRequest
+    ? parseRangeHeader(requestHeaders.getHeader('Range'), bytes.length)
+    : null;
+  if (ranges === null) {
+    setHeader(headers, 'Content-Length', String(bytes.length));
+    return { status: 200, headers: headers.getHash(), body };
+  }
+  if (ranges.length === 0) {
+    return {
+      status: 416,
+      headers: { 'Content-Range': `bytes */${bytes.length}` },
+      body: null,
+    };
+  }
+
+  let rangeBody;
+  if (ranges.length === 1) {
+    const { start, end } = ranges[0];
+    rangeBody = bytes.slice(start, end + 1);
+    setHeader(headers, 'Content-Range', `bytes ${start}-${end}/${bytes.length}`);
+  } else {
+    const boundary = generateMultipartBoundary();
+    rangeBody = createMultipartBody(bytes, ranges, headers.getHeader('Content-Type'), boundary);
+    setHeader(headers, 'Content-Type', `multipart/byteranges; boundary=${boundary}`);
+  }
+  setHeader(headers, 'Content-Length', String(rangeBody.length));
+  return { status: 206, headers: headers.getHash(), body: rangeBody };
+}
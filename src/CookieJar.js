@@ -0,0 +1,291 @@
+import { realClock } from './Utils';
+
+// Url used to resolve relative request urls, like the url of a page served from localhost
+const defaultPageUrl = 'http://localhost/';
+
+/**
+ * @param {string} url absolute or relative url
+ * @returns {URL} parsed url. Relative urls are resolved against http://localhost/.
+ */
+function parseCookieUrl(url) {
+  return new URL(url, defaultPageUrl);
+}
+
+/**
+ * Secure cookies are sent to https urls and to localhost, like browsers do.
+ *
+ * @param {URL} url parsed url
+ * @returns {boolean} whether the url is secure for cookies
+ */
+function isSecureUrl(url) {
+  return url.protocol === 'https:'
+    || url.hostname === 'localhost'
+    || /\.localhost$/.test(url.hostname)
+    || url.hostname === '127.0.0.1'
+    || url.hostname === '[::1]';
+}
+
+/**
+ * See https://www.rfc-editor.org/rfc/rfc6265#section-5.1.3
+ *
+ * @param {string} host request host (lowercase)
+ * @param {string} domain cookie domain (lowercase)
+ * @returns {boolean} whether the host domain-matches the cookie domain
+ */
+function domainMatches(host, domain) {
+  if (host === domain) {
+    return true;
+  }
+  const isIpAddress = /^[\d.]+$/.test(host) || host.startsWith('[');
+  return !isIpAddress && host.endsWith(`.${domain}`);
+}
+
+/**
+ * See https://www.rfc-editor.org/rfc/rfc6265#section-5.1.4
+ *
+ * @param {string} requestPath request path
+ * @param {string} cookiePath cookie path
+ * @returns {boolean} whether the request path path-matches the cookie path
+ */
+function pathMatches(requestPath, cookiePath) {
+  return requestPath === cookiePath
+    || (requestPath.startsWith(cookiePath)
+      && (cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/'));
+}
+
+/**
+ * See https://www.rfc-editor.org/rfc/rfc6265#section-5.1.4
+ *
+ * @param {string} requestPath request path
+ * @returns {string} default path of the cookies set by a response
+ */
+function getDefaultPath(requestPath) {
+  const lastSlash = requestPath.lastIndexOf('/');
+  return lastSlash <= 0 ? '/' : requestPath.slice(0, lastSlash);
+}
+
+/**
+ * Parse a Cookie request header.
+ *
+ * @param {?string} cookieHeader Cookie request header value
+ * @returns {object} cookie values by name
+ */
+export function parseCookieHeader(cookieHeader) {
+  const cookies = {};
+  if (cookieHeader !== null && cookieHeader !== undefined) {
+    cookieHeader.split(';').forEach((pair) => {
+      const separator = pair.indexOf('=');
+      const name = separator >= 0 ? pair.slice(0, separator).trim() : '';
+      const value = separator >= 0 ? pair.slice(separator + 1).trim() : pair.trim();
+      if ((name !== '' || value !== '') && !(name in cookies)) {
+        cookies[name] = value;
+      }
+    });
+  }
+  return cookies;
+}
+
+/**
+ * Cookie store for MockXhr and MockXhrServer. Stores the cookies of Set-Cookie response headers
+ * with their Domain, Path, Expires, Max-Age, Secure, HttpOnly and SameSite attributes and returns
+ * the Cookie request header of a url. Expiry is measured with a clock, e.g. a VirtualClock.
+ * See https://www.rfc-editor.org/rfc/rfc6265#section-5
+ *
+ * Relative urls are resolved against http://localhost/. Public suffixes are not checked.
+ */
+export default class CookieJar {
+  /**
+   * Constructor
+   *
+   * @param {?object} clock clock used to expire cookies (default: real time). Only its now()
+   * method is used.
+   */
+  constructor(clock = realClock) {
+    this.clock = clock;
+    this._cookies = [];
+    this._nextCreationIndex = 0;
+  }
+
+  /**
+   * Store the cookie of a Set-Cookie response header value. Invalid cookies are ignored.
+   *
+   * @param {string} setCookie Set-Cookie header value (e.g. 'id=1; Path=/; HttpOnly')
+   * @param {string} url url of the response that sets the cookie
+   * @returns {boolean} whether the cookie was stored or removed (when expired)
+   */
+  setCookie(setCookie, url) {
+    const requestUrl = parseCookieUrl(url);
+    const parts = String(setCookie).split(';');
+    const pair = parts[0];
+    const separator = pair.indexOf('=');
+    const name = separator >= 0 ? pair.slice(0, separator).trim() : '';
+    const value = separator >= 0 ? pair.slice(separator + 1).trim() : pair.trim();
+    if (name === '' && value === '') {
+      return false;
+    }
+
+    const host = requestUrl.hostname.toLowerCase();
+    const cookie = {
+      name,
+      value,
+      domain: host,
+      path: getDefaultPath(requestUrl.pathname),
+      expires: null,
+      secure: false,
+      httpOnly: false,
+      hostOnly: true,
+      sameSite: null,
+    };
+    let maxAge = null;
+    let expires = null;
+    parts.slice(1).forEach((attribute) => {
+      const attributeSeparator = attribute.indexOf('=');
+      const attributeName = (attributeSeparator >= 0
+        ? attribute.slice(0, attributeSeparator)
+        : attribute).trim().toLowerCase();
+      const attributeValue = attributeSeparator >= 0
+        ? attribute.slice(attributeSeparator + 1).trim()
+        : '';
+      if (attributeName === 'expires') {
+        const time = Date.parse(attributeValue);
+        if (!Number.isNaN(time)) {
+          expires = time;
+        }
+      } else if (attributeName === 'max-age') {
+        if (/^-?\d+$/.test(attributeValue)) {
+          maxAge = Number(attributeValue);
+        }
+      } else if (attributeName === 'domain') {
+        const domain = attributeValue.replace(/^\./, '').toLowerCase();
+        if (domain !== '') {
+          cookie.domain = domain;
+          cookie.hostOnly = false;
+        }
+      } else if (attributeName === 'path') {
+        if (attributeValue.startsWith('/')) {
+          cookie.path = attributeValue;
+        }
+      } else if (attributeName === 'secure') {
+        cookie.secure = true;
+      } else if (attributeName === 'httponly') {
+        cookie.httpOnly = true;
+      } else if (attributeName === 'samesite') {
+        cookie.sameSite = attributeValue;
+      }
+    });
+
+    // Max-Age takes precedence over Expires
+    if (maxAge !== null) {
+      cookie.expires = this.clock.now() + Math.max(0, maxAge) * 1000;
+    } else if (expires !== null) {
+      cookie.expires = expires;
+    }
+
+    if ((!cookie.hostOnly && !domainMatches(host, cookie.domain))
+      || (cookie.secure && !isSecureUrl(requestUrl))) {
+      return false;
+    }
+
+    // Replace the cookie with the same name, domain and path, keeping its creation order
+    const index = this._cookies.findIndex((c) => {
+      return c.name === cookie.name && c.domain === cookie.domain && c.path === cookie.path;
+    });
+    if (index >= 0) {
+      cookie.creationIndex = this._cookies[index].creationIndex;
+      this._cookies.splice(index, 1);
+    } else {
+      cookie.creationIndex = this._nextCreationIndex;
+      this._nextCreationIndex += 1;
+    }
+    if (!this._isExpired(cookie)) {
+      this._cookies.push(cookie);
+    }
+    return true;
+  }
+
+  /**
+   * Get the cookies sent to a url, in the order of the Cookie request header: longer paths first,
+   * then older cookies first.
+   *
+   * @param {string} url request url
+   * @returns {object[]} cookies { name, value, domain, path, expires, secure, httpOnly, hostOnly,
+   * sameSite }. expires is a time in milliseconds or null for session cookies.
+   */
+  getCookies(url) {
+    const requestUrl = parseCookieUrl(url);
+    const host = requestUrl.hostname.toLowerCase();
+    const secure = isSecureUrl(requestUrl);
+    return this._getUnexpiredCookies()
+      .filter((cookie) => {
+        return (cookie.hostOnly ? host === cookie.domain : domainMatches(host, cookie.domain))
+          && pathMatches(requestUrl.pathname, cookie.path)
+          && (!cookie.secure || secure);
+      })
+      .sort((a, b) => b.path.length - a.path.length || a.creationIndex - b.creationIndex)
+      .map(copyCookie);
+  }
+
+  /**
+   * @param {string} url request url
+   * @returns {?string} Cookie request header value for the url or null if there are no cookies
+   */
+  getCookieHeader(url) {
+    const cookies = this.getCookies(url);
+    if (cookies.length === 0) {
+      return null;
+    }
+    return cookies.map(({ name, value }) => (name !== '' ? `${name}=${value}` : value)).join('; ');
+  }
+
+  /**
+   * @returns {object[]} all the unexpired cookies. See getCookies().
+   */
+  get cookies() {
+    return this._getUnexpiredCookies().map(copyCookie);
+  }
+
+  /**
+   * Remove all the cookies.
+   */
+  clear() {
+    this._cookies = [];
+  }
+
+  _getUnexpiredCookies() {
+    this._cookies = this._cookies.filter((cookie) => !this._isExpired(cookie));
+    return this._cookies;
+  }
+
+  _isExpired(cookie) {
+    return cookie.expires !== null && cookie.expires <= this.clock.now();
+  }
+}
+
+/**
+ * @param {object} cookie stored cookie
+ * @returns {object} copy of the cookie without the internal properties
+ */
+function copyCookie(cookie) {
+  const {
+    name,
+    value,
+    domain,
+    path,
+    expires,
+    secure,
+    httpOnly,
+    hostOnly,
+    sameSite,
+  } = cookie;
+  return {
+    name,
+    value,
+    domain,
+    path,
+    expires,
+    secure,
+    httpOnly,
+    hostOnly,
+    sameSite,
+  };
+}
@@ -0,0 +1,199 @@
+import HeadersContainer from './HeadersContainer';
+import { getUrlComponents, isRequestHeaderForbidden, parseMimeType } from './Utils';
+
+// https://fetch.spec.whatwg.org/#cors-safelisted-method
+const safelistedMethods = ['GET', 'HEAD', 'POST'];
+
+// https://fetch.spec.whatwg.org/#cors-safelisted-response-header-name
+const safelistedResponseHeaderNames = [
+  'cache-control',
+  'content-language',
+  'content-length',
+  'content-type',
+  'expires',
+  'last-modified',
+  'pragma',
+];
+
+// https://fetch.spec.whatwg.org/#forbidden-response-header-name
+const forbiddenResponseHeaderNames = ['set-cookie', 'set-cookie2'];
+
+// Content-Type essences of the requests that don't need a preflight
+const safelistedContentTypes = [
+  'application/x-www-form-urlencoded',
+  'multipart/form-data',
+  'text/plain',
+];
+
+// https://fetch.spec.whatwg.org/#cors-unsafe-request-header-byte
+// eslint-disable-next-line no-control-regex
+const unsafeRequestHeaderByteRegExp = /[\x00-\x08\x0A-\x1F"():<>?@[\\\]{}\x7F]/;
+
+/**
+ * @param {string} origin origin or url (e.g. 'https://example.com')
+ * @returns {string} serialized origin, e.g. for the Origin request header
+ */
+export function serializeOrigin(origin) {
+  return new URL(origin).origin;
+}
+
+/**
+ * Check whether a request url is cross-origin for the page origin of the CORS simulation. Relative
+ * urls are same-origin.
+ *
+ * @param {string} url request url
+ * @param {?string} origin page origin (null when the CORS simulation is disabled)
+ * @returns {boolean} whether the request is cross-origin
+ */
+export function isCrossOrigin(url, origin) {
+  if (origin === null || origin === undefined) {
+    return false;
+  }
+  const urlOrigin = getUrlComponents(url).origin;
+  return urlOrigin !== '' && urlOrigin !== serializeOrigin(origin);
+}
+
+/**
+ * See https://fetch.spec.whatwg.org/#cors-safelisted-request-header
+ *
+ * @param {string} name header name (lowercase)
+ * @param {string} value header value
+ * @returns {boolean} whether the header doesn't need a preflight
+ */
+function isSafelistedRequestHeader(name, value) {
+  if (value.length > 128) {
+    return false;
+  }
+  if (name === 'accept') {
+    return !unsafeRequestHeaderByteRegExp.test(value);
+  } else if (name === 'accept-language' || name === 'content-language') {
+    return /^[0-9A-Za-z *,\-.;=]*$/.test(value);
+  } else if (name === 'content-type') {
+    const mimeType = parseMimeType(value);
+    return !unsafeRequestHeaderByteRegExp.test(value)
+      && mimeType !== null
+      && safelistedContentTypes.includes(mimeType.essence);
+  } else if (name === 'range') {
+    return /^bytes=\d+-\d*$/.test(value);
+  }
+  return false;
+}
+
+/**
+ * Get the names of the request headers that need a preflight. The forbidden headers set by the
+ * user agent (e.g. Origin) are not included.
+ * See https://fetch.spec.whatwg.org/#cors-unsafe-request-header-names
+ *
+ * @param {HeadersContainer} headers request headers
+ * @returns {string[]} sorted lowercase header names
+ */
+export function getUnsafeRequestHeaderNames(headers) {
+  const hash = headers.getHash();
+  return Object.keys(hash).filter((name) => {
+    return !isRequestHeaderForbidden(name) && !isSafelistedRequestHeader(name, hash[name]);
+  }).sort();
+}
+
+/**
+ * @param {string} method request method
+ * @param {string[]} unsafeHeaderNames names returned by getUnsafeRequestHeaderNames()
+ * @param {boolean} hasUploadListeners whether the request has upload listeners
+ * @returns {boolean} whether a cross-origin request needs a preflight
+ */
+export function needsPreflight(method, unsafeHeaderNames, hasUploadListeners) {
+  return !safelistedMethods.includes(method) || unsafeHeaderNames.length > 0 || hasUploadListeners;
+}
+
+/**
+ * @param {?string} value header value
+ * @returns {string[]} values of a comma-separated header
+ */
+function parseHeaderList(value) {
+  if (value === null) {
+    return [];
+  }
+  return value.split(',').map((item) => item.trim()).filter((item) => item !== '');
+}
+
+/**
+ * Check the Access-Control-Allow-Origin and Access-Control-Allow-Credentials response headers.
+ * See https://fetch.spec.whatwg.org/#cors-check
+ *
+ * @param {HeadersContainer|object} headers response headers. Only getHeader() is used.
+ * @param {string} origin page origin
+ * @param {boolean} withCredentials whether the request includes credentials
+ * @returns {boolean} whether the check passed
+ */
+export function corsCheck(headers, origin, withCredentials) {
+  const allowOrigin = headers.getHeader('Access-Control-Allow-Origin');
+  if (allowOrigin === null) {
+    return false;
+  }
+  if (!withCredentials && allowOrigin === '*') {
+    return true;
+  }
+  if (allowOrigin !== serializeOrigin(origin)) {
+    return false;
+  }
+  return !withCredentials || headers.getHeader('Access-Control-Allow-Credentials') === 'true';
+}
+
+/**
+ * Check a preflight response for a request.
+ * See https://fetch.spec.whatwg.org/#cors-preflight-fetch
+ *
+ * @param {number} status preflight response status
+ * @param {HeadersContainer|object} headers preflight response headers. Only getHeader() is used.
+ * @param {object} request { origin, method, unsafeHeaderNames, withCredentials }
+ * @returns {boolean} whether the preflight allows the request
+ */
+export function corsPreflightCheck(status, headers, request) {
+  const {
+    origin,
+    method,
+    unsafeHeaderNames,
+    withCredentials,
+  } = request;
+  if (status < 200 || status > 299 || !corsCheck(headers, origin, withCredentials)) {
+    return false;
+  }
+
+  const methods = parseHeaderList(headers.getHeader('Access-Control-Allow-Methods'));
+  if (!methods.includes(method) && !safelistedMethods.includes(method)
+    && (withCredentials || !methods.includes('*'))) {
+    return false;
+  }
+
+  const headerNames = parseHeaderList(headers.getHeader('Access-Control-Allow-Headers'))
+    .map((name) => name.toLowerCase());
+  const allowsAnyHeader = !withCredentials && headerNames.includes('*');
+  return unsafeHeaderNames.every((name) => {
+    // The Authorization header is never covered by the wildcard
+    return headerNames.includes(name) || (allowsAnyHeader && name !== 'authorization');
+  });
+}
+
+/**
+ * Filter the response headers of a cross-origin response. Only the CORS-safelisted response
+ * headers and the headers listed in Access-Control-Expose-Headers are exposed.
+ * See https://fetch.spec.whatwg.org/#concept-filtered-response-cors
+ *
+ * @param {HeadersContainer} headers response headers
+ * @param {boolean} withCredentials whether the request includes credentials
+ * @returns {HeadersContainer} exposed response headers
+ */
+export function filterCorsResponseHeaders(headers, withCredentials) {
+  const exposedNames = parseHeaderList(headers.getHeader('Access-Control-Expose-Headers'))
+    .map((name) => name.toLowerCase());
+  const exposesAll = !withCredentials && exposedNames.includes('*');
+  const hash = headers.getHash();
+  const exposed = {};
+  Object.keys(hash).forEach((name) => {
+    if (!forbiddenResponseHeaderNames.includes(name)
+      && (exposesAll || safelistedResponseHeaderNames.includes(name)
+        || exposedNames.includes(name))) {
+      exposed[name] = hash[name];
+    }
+  });
+  return new HeadersContainer(exposed);
+}
@@ -0,0 +1,151 @@
+import { decodeUtf8, stringFromCodePoints } from './Utils';
+
+// Labels of the encodings decoded without TextDecoder
+// https://encoding.spec.whatwg.org/#names-and-labels
+const encodingLabels = {
+  'UTF-8': [
+    'unicode-1-1-utf-8',
+    'unicode11utf8',
+    'unicode20utf8',
+    'utf-8',
+    'utf8',
+    'x-unicode20utf8',
+  ],
+  'UTF-16BE': ['unicodefffe', 'utf-16be'],
+  'UTF-16LE': [
+    'csunicode',
+    'iso-10646-ucs-2',
+    'ucs-2',
+    'unicode',
+    'unicodefeff',
+    'utf-16',
+    'utf-16le',
+  ],
+  'windows-1252': [
+    'ansi_x3.4-1968',
+    'ascii',
+    'cp1252',
+    'cp819',
+    'csisolatin1',
+    'ibm819',
+    'iso-8859-1',
+    'iso-ir-100',
+    'iso8859-1',
+    'iso88591',
+    'iso_8859-1',
+    'iso_8859-1:1987',
+    'l1',
+    'latin1',
+    'us-ascii',
+    'windows-1252',
+    'x-cp1252',
+  ],
+};
+
+// Code points of the bytes 0x80 to 0x9F in windows-1252. The other bytes are their code point.
+// https://encoding.spec.whatwg.org/index-windows-1252.txt
+const windows1252Codes = [
+  0x20AC, 0x81, 0x201A, 0x192, 0x201E, 0x2026, 0x2020, 0x2021,
+  0x2C6, 0x2030, 0x160, 0x2039, 0x152, 0x8D, 0x17D, 0x8F,
+  0x90, 0x2018, 0x2019, 0x201C, 0x201D, 0x2022, 0x2013, 0x2014,
+  0x2DC, 0x2122, 0x161, 0x203A, 0x153, 0x9D, 0x17E, 0x178,
+];
+
+/**
+ * Get the encoding of a label (e.g. the charset parameter of a MIME type). UTF-8, UTF-16 and
+ * windows-1252 (which includes the Latin-1 labels) are always supported. Other encodings (e.g.
+ * Shift_JIS) are supported when the environment has a TextDecoder that supports them.
+ * See https://encoding.spec.whatwg.org/#concept-encoding-get
+ *
+ * @param {string} label encoding label
+ * @returns {?string} encoding name or null if the label is not supported
+ */
+export function getEncoding(label) {
+  const normalized = label.replace(/^[\t\n\f\r ]+|[\t\n\f\r ]+$/g, '').toLowerCase();
+  const encoding = Object.keys(encodingLabels)
+    .find((name) => encodingLabels[name].includes(normalized));
+  if (encoding !== undefined) {
+    return encoding;
+  }
+
+  if (typeof TextDecoder === 'function' && normalized !== 'replacement') {
+    try {
+      return new TextDecoder(normalized).encoding;
+    } catch (e) {
+      // Unsupported label
+    }
+  }
+  return null;
+}
+
+function decodeUtf16(bytes, littleEndian) {
+  const codes = [];
+  for (let i = 0; i + 1 < bytes.length; i += 2) {
+    codes.push(littleEndian ? bytes[i] + bytes[i + 1] * 0x100 : bytes[i] * 0x100 + bytes[i + 1]);
+  }
+
+  // Combine surrogate pairs and replace lone surrogates
+  for (let i = 0; i < codes.length; i += 1) {
+    const code = codes[i];
+    const next = codes[i + 1];
+    if (code >= 0xD800 && code < 0xDC00 && next >= 0xDC00 && next < 0xE000) {
+      codes.splice(i, 2, 0x10000 + (code - 0xD800) * 0x400 + (next - 0xDC00));
+    } else if (code >= 0xD800 && code < 0xE000) {
+      codes[i] = 0xFFFD;
+    }
+  }
+  if (bytes.length % 2 === 1) {
+    codes.push(0xFFFD);
+  }
+  return stringFromCodePoints(codes);
+}
+
+/**
+ * Decode bytes. A byte order mark (BOM) overrides the encoding.
+ * See https://encoding.spec.whatwg.org/#decode
+ *
+ * @param {Uint8Array} bytes bytes
+ * @param {string} encoding encoding name returned by getEncoding()
+ * @returns {string} decoded string
+ */
+export function decode(bytes, encoding) {
+  let bomEncoding = null;
+  if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+    bomEncoding = 'UTF-8';
+  } else if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+    bomEncoding = 'UTF-16BE';
+  } else if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+    bomEncoding = 'UTF-16LE';
+  }
+  const finalEncoding = bomEncoding || encoding;
+  let data = bytes;
+  if (bomEncoding) {
+    data = bytes.subarray(bomEncoding === 'UTF-8' ? 3 : 2);
+  }
+
+  if (finalEncoding === 'UTF-8') {
+    return decodeUtf8(data);
+  }
+  if (finalEncoding === 'UTF-16BE' || finalEncoding === 'UTF-16LE') {
+    return decodeUtf16(data, finalEncoding === 'UTF-16LE');
+  }
+  if (finalEncoding === 'windows-1252') {
+    const codes = Array.from(data, (byte) => {
+      return byte >= 0x80 && byte < 0xA0 ? windows1252Codes[byte - 0x80] : byte;
+    });
+    return stringFromCodePoints(codes);
+  }
+  return new TextDecoder(finalEncoding, { ignoreBOM: true }).decode(data);
+}
+
+/**
+ * Decode UTF-8 bytes without BOM sniffing. A UTF-8 BOM is removed.
+ * See https://encoding.spec.whatwg.org/#utf-8-decode
+ *
+ * @param {Uint8Array} bytes UTF-8 bytes
+ * @returns {string} decoded string
+ */
+export function utf8Decode(bytes) {
+  const hasBom = bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF;
+  return decodeUtf8(hasBom ? bytes.subarray(3) : bytes);
+}
@@ -18,19 +18,6 @@ export function newMockXhr() {
         LocalMockXhr.onCreate(this);
       }
     }
-
-    // Override the parent method to enable the local MockXhr instance's
-    // onSend() hook
-    send(...args) {
-      super.send(...args);
-
-      // Execute in an empty callstack
-      if (typeof LocalMockXhr.onSend === 'function') {
-        // Save the callback in case it changes before it has a chance to run
-        const { onSend } = LocalMockXhr;
-        setTimeout(() => onSend.call(this, this), 0);
-      }
-    }
   }
 
   // Override the parent class' flag to enable the effects of the timeout attribute
@@ -41,8 +28,10 @@ export function newMockXhr() {
 /**
  * Create a new mock server using MockXhr.
  *
+ * @param {?object} routes routes
+ * @param {?object} options server options (see the MockXhrServer constructor)
  * @returns {MockXhrServer} new mock server
  */
-export function newServer(routes) {
-  return new MockXhrServer(newMockXhr(), routes);
+export function newServer(routes, options) {
+  return new MockXhrServer(newMockXhr(), routes, options);
 }
@@ -78,4 +78,13 @@ export default class HeadersContainer {
     }
     this._headers.set(name, value);
   }
+
+  /**
+   * Remove a header. Header names are case-insensitive.
+   *
+   * @param {string} name header name
+   */
+  removeHeader(name) {
+    this._headers.delete(name.toLowerCase());
+  }
 }
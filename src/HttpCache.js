@@ -0,0 +1,264 @@
+import HeadersContainer from './HeadersContainer';
+import { realClock } from './Utils';
+
+// Statuses of the responses that can be stored
+// https://www.rfc-editor.org/rfc/rfc9110#section-15.1
+const cacheableStatuses = [200, 203, 204, 300, 301, 308, 404, 405, 410, 414, 501];
+
+// Headers of a 304 response that don't update the stored response
+// https://www.rfc-editor.org/rfc/rfc9111#section-3.2
+const excludedUpdateHeaderNames = ['content-length', 'content-encoding', 'transfer-encoding'];
+
+/**
+ * Parse a Cache-Control header.
+ *
+ * @param {?string} value Cache-Control header value
+ * @returns {object} directive values by lowercase name. Directives without a value are true.
+ */
+function parseCacheControl(value) {
+  const directives = {};
+  if (value !== null && value !== undefined) {
+    value.split(',').forEach((directive) => {
+      const separator = directive.indexOf('=');
+      const name = (separator >= 0 ? directive.slice(0, separator) : directive)
+        .trim()
+        .toLowerCase();
+      if (name !== '' && !(name in directives)) {
+        directives[name] = separator >= 0
+          ? directive.slice(separator + 1).trim().replace(/^"(.*)"$/, '$1')
+          : true;
+      }
+    });
+  }
+  return directives;
+}
+
+/**
+ * @param {*} value delta-seconds directive or header value
+ * @returns {?number} number of milliseconds or null if invalid
+ */
+function parseDeltaSeconds(value) {
+  return /^\d+$/.test(value) ? Number(value) * 1000 : null;
+}
+
+/**
+ * @param {?string} value HTTP-date header value
+ * @returns {?number} time in milliseconds or null if invalid
+ */
+function parseHttpDate(value) {
+  const time = value !== null && value !== undefined ? Date.parse(value) : NaN;
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * @param {HeadersContainer} headers request headers
+ * @returns {boolean} whether the request doesn't accept a stored response without revalidation
+ */
+function requiresRevalidation(headers) {
+  const directives = parseCacheControl(headers.getHeader('Cache-Control'));
+  return directives['no-cache'] !== undefined
+    || parseDeltaSeconds(directives['max-age']) === 0
+    || (headers.getHeader('Cache-Control') === null
+      && /(^|,)\s*no-cache\s*(,|$)/i.test(headers.getHeader('Pragma') || ''));
+}
+
+/**
+ * @param {string} vary Vary response header value
+ * @returns {string[]} lowercase header names
+ */
+function parseVary(vary) {
+  return vary.split(',').map((name) => name.trim().toLowerCase()).filter((name) => name !== '');
+}
+
+/**
+ * Private HTTP cache for MockXhr and MockXhrServer, like the HTTP cache of a browser. Stores the
+ * responses to GET requests according to their Cache-Control, Expires, ETag, Last-Modified and
+ * Vary headers and tells whether they are fresh. Freshness is measured with a clock, e.g. a
+ * VirtualClock.
+ * See https://www.rfc-editor.org/rfc/rfc9111
+ *
+ * One response is stored per url. Cache-Control extensions like stale-while-revalidate are not
+ * supported.
+ */
+export default class HttpCache {
+  /**
+   * Constructor
+   *
+   * @param {?object} clock clock used to measure the age of the responses (default: real time).
+   * Only its now() method is used.
+   */
+  constructor(clock = realClock) {
+    this.clock = clock;
+    this._entries = new Map();
+  }
+
+  /**
+   * Store the response to a GET request if it can be stored. A response that can't be stored
+   * because of Cache-Control: no-store removes the stored response of the url.
+   *
+   * @param {string} url request url
+   * @param {HeadersContainer} requestHeaders request headers
+   * @param {object} response { status, statusText, headers, body } where headers are name-value
+   * response headers without Set-Cookie
+   * @returns {boolean} whether the response was stored
+   */
+  store(url, requestHeaders, response) {
+    const headers = new HeadersContainer(response.headers);
+    const responseDirectives = parseCacheControl(headers.getHeader('Cache-Control'));
+    const requestDirectives = parseCacheControl(requestHeaders.getHeader('Cache-Control'));
+    if (responseDirectives['no-store'] !== undefined
+      || requestDirectives['no-store'] !== undefined) {
+      this._entries.delete(url);
+      return false;
+    }
+    const vary = headers.getHeader('Vary');
+    const varyNames = vary !== null ? parseVary(vary) : [];
+    if (!cacheableStatuses.includes(response.status) || varyNames.includes('*')) {
+      return false;
+    }
+
+    const entry = {
+      url,
+      status: response.status,
+      statusText: response.statusText,
+      headers: headers.getHash(),
+      body: response.body,
+      responseTime: this.clock.now(),
+      varyHeaders: {},
+    };
+    varyNames.forEach((name) => {
+      entry.varyHeaders[name] = requestHeaders.getHeader(name);
+    });
+
+    // Responses without validators are only useful while they are fresh
+    const { etag, 'last-modified': lastModified } = entry.headers;
+    const hasValidator = etag !== undefined || lastModified !== undefined;
+    if (!hasValidator && this._getFreshnessLifetime(entry) <= 0) {
+      return false;
+    }
+    this._entries.set(url, entry);
+    return true;
+  }
+
+  /**
+   * Get the stored response of a request. The request headers must match the request headers
+   * listed in the Vary header of the stored response.
+   *
+   * @param {string} url request url
+   * @param {HeadersContainer} requestHeaders request headers
+   * @returns {?object} stored response or null if there is none
+   */
+  match(url, requestHeaders) {
+    const entry = this._entries.get(url);
+    if (entry === undefined
+      || parseCacheControl(requestHeaders.getHeader('Cache-Control'))['no-store'] !== undefined) {
+      return null;
+    }
+    const varyMatches = Object.keys(entry.varyHeaders).every((name) => {
+      return requestHeaders.getHeader(name) === entry.varyHeaders[name];
+    });
+    return varyMatches ? entry : null;
+  }
+
+  /**
+   * A stored response is fresh while its age is less than its freshness lifetime given by the
+   * max-age directive, the Expires header or, heuristically, 10% of the time since its
+   * Last-Modified date. Responses with Cache-Control: no-cache and requests with
+   * Cache-Control: no-cache or max-age=0 (or Pragma: no-cache) always need a revalidation.
+   * See https://www.rfc-editor.org/rfc/rfc9111#section-4.2
+   *
+   * @param {object} entry stored response returned by match()
+   * @param {HeadersContainer} requestHeaders request headers
+   * @returns {boolean} whether the stored response can be used without revalidation
+   */
+  isFresh(entry, requestHeaders) {
+    return !requiresRevalidation(requestHeaders)
+      && this._getFreshnessLifetime(entry) > this._getCurrentAge(entry);
+  }
+
+  /**
+   * Update a stored response with the headers of the 304 response to its revalidation.
+   * See https://www.rfc-editor.org/rfc/rfc9111#section-4.3.4
+   *
+   * @param {object} entry stored response returned by match()
+   * @param {HeadersContainer} headers 304 response headers
+   * @returns {object} updated stored response
+   */
+  update(entry, headers) {
+    const hash = headers.getHash();
+    Object.keys(hash).forEach((name) => {
+      if (!excludedUpdateHeaderNames.includes(name)) {
+        entry.headers[name] = hash[name];
+      }
+    });
+    entry.responseTime = this.clock.now();
+    return entry;
+  }
+
+  /**
+   * Remove the stored response of a url, e.g. after a successful unsafe request to the url.
+   * See https://www.rfc-editor.org/rfc/rfc9111#section-4.4
+   *
+   * @param {string} url request url
+   */
+  invalidate(url) {
+    this._entries.delete(url);
+  }
+
+  /**
+   * @returns {object[]} the stored responses { url, status, statusText, headers, body,
+   * responseTime }. responseTime is the time the response was stored or last revalidated.
+   */
+  get entries() {
+    return Array.from(this._entries.values()).map(({
+      url,
+      status,
+      statusText,
+      headers,
+      body,
+      responseTime,
+    }) => {
+      return {
+        url,
+        status,
+        statusText,
+        headers: new HeadersContainer(headers).getHash(),
+        body,
+        responseTime,
+      };
+    });
+  }
+
+  /**
+   * Remove all the stored responses.
+   */
+  clear() {
+    this._entries.clear();
+  }
+
+  _getFreshnessLifetime(entry) {
+    const { headers } = entry;
+    const directives = parseCacheControl(headers['cache-control']);
+    if (directives['no-cache'] !== undefined) {
+      return 0;
+    }
+    const maxAge = parseDeltaSeconds(directives['max-age']);
+    if (maxAge !== null) {
+      return maxAge;
+    }
+    const date = parseHttpDate(headers.date);
+    const responseDate = date !== null ? date : entry.responseTime;
+    if (headers.expires !== undefined) {
+      // Invalid Expires dates (e.g. "0") are in the past
+      const expires = parseHttpDate(headers.expires);
+      return expires !== null ? expires - responseDate : 0;
+    }
+    const lastModified = parseHttpDate(headers['last-modified']);
+    return lastModified !== null ? Math.max(0, (responseDate - lastModified) / 10) : 0;
+  }
+
+  _getCurrentAge(entry) {
+    const age = parseDeltaSeconds(entry.headers.age);
+    return Math.max(0, this.clock.now() - entry.responseTime) + (age !== null ? age : 0);
+  }
+}
@@ -0,0 +1,69 @@
+import { decodeUtf8, getBodyBytes } from './Utils';
+
+/**
+ * Minimal Blob implementation for blob responses in environments without a Blob class (e.g. node
+ * before v15). Supports string and BufferSource parts.
+ * https://w3c.github.io/FileAPI/#blob-section
+ */
+export default class MockBlob {
+  /**
+   * Constructor
+   *
+   * @param {Array} parts strings and BufferSource parts. Other values are converted to strings.
+   * @param {?object} options { type }
+   */
+  constructor(parts = [], options = {}) {
+    const partBytes = parts.map((part) => getBodyBytes(part) || getBodyBytes(String(part)));
+    this._bytes = new Uint8Array(partBytes.reduce((length, bytes) => length + bytes.length, 0));
+    let offset = 0;
+    partBytes.forEach((bytes) => {
+      this._bytes.set(bytes, offset);
+      offset += bytes.length;
+    });
+
+    // Types that are not printable ASCII are replaced by the empty string
+    const type = options.type !== undefined ? String(options.type) : '';
+    this._type = /^[\x20-\x7E]*$/.test(type) ? type.toLowerCase() : '';
+  }
+
+  /**
+   * @returns {number} size in bytes
+   */
+  get size() {
+    return this._bytes.length;
+  }
+
+  /**
+   * @returns {string} MIME type
+   */
+  get type() {
+    return this._type;
+  }
+
+  /**
+   * @param {?number} start start offset (negative from the end)
+   * @param {?number} end end offset (negative from the end)
+   * @param {?string} contentType type of the new blob
+   * @returns {MockBlob} new blob with the bytes in the range
+   */
+  slice(start, end, contentType) {
+    return new MockBlob([this._bytes.slice(start, end)], { type: contentType });
+  }
+
+  /**
+   * @returns {Promise<ArrayBuffer>} Promise that resolves with the bytes
+   */
+  arrayBuffer() {
+    return Promise.resolve(this._bytes.slice().buffer);
+  }
+
+  /**
+   * @returns {Promise<string>} Promise that resolves with the bytes decoded as UTF-8
+   */
+  text() {
+    return Promise.resolve(decodeUtf8(this._bytes));
+  }
+}
+
+// Like Blob for Object.prototype.toString() and isObjectOfClass()
+Object.defineProperty(MockBlob.prototype, Symbol.toStringTag, { value: 'Blob' });
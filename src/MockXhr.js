@@ -1,19 +1,121 @@
+import {
+  corsCheck,
+  corsPreflightCheck,
+  filterCorsResponseHeaders,
+  getUnsafeRequestHeaderNames,
+  isCrossOrigin,
+  needsPreflight,
+  serializeOrigin,
+} from './Cors';
+import { decode, getEncoding, utf8Decode } from './Encoding';
 import Event from './Event';
 import EventTarget from './EventTarget';
 import HeadersContainer from './HeadersContainer';
+import MockBlob from './MockBlob';
 import {
+  extractMimeType,
+  generateMultipartBoundary,
+  getBodyByteLength,
+  getBodyContentType,
+  getBodyBytes,
   getStatusText,
   isRequestHeaderForbidden,
   isRequestMethodForbidden,
+  isXmlMimeType,
   normalizeHTTPMethodName,
+  parseMimeType,
+  realClock,
+  resolveUrl,
+  serializeBody,
+  serializeMimeType,
 } from './Utils';
 
+// CORS preflight requests sent by MockXhr instances
+const corsPreflights = new WeakSet();
+
+// MockXhr instances opened as synchronous requests. XMLHttpRequest doesn't expose the async flag.
+const synchronousRequests = new WeakSet();
+
+/**
+ * Internal accessor for MockXhrServer.
+ *
+ * @param {MockXhr} xhr request
+ * @returns {boolean} whether the request was opened as a synchronous request
+ */
+export function isSynchronousRequest(xhr) {
+  return synchronousRequests.has(xhr);
+}
+
+/**
+ * @returns {Function} Blob class of the environment (a global in browsers and in node since v15) or
+ * MockBlob
+ */
+function getBlobClass() {
+  return typeof Blob === 'function' ? Blob : MockBlob;
+}
+
 function throwError(type, text = '') {
   const exception = new Error(text);
   exception.name = type;
   throw exception;
 }
 
+/**
+ * Default document parser (see MockXhr.documentParser). Uses DOMParser when it is available (e.g.
+ * in browsers or with jsdom).
+ *
+ * @param {string} text document text
+ * @param {string} type 'text/html' or 'application/xml'
+ * @returns {?Document} parsed document or null if it can't be parsed
+ */
+function parseDocument(text, type) {
+  if (typeof DOMParser !== 'function') {
+    return null;
+  }
+  const document = new DOMParser().parseFromString(text, type);
+
+  // XML parse errors produce a document with a parsererror element instead of throwing
+  if (type !== 'text/html' && document.getElementsByTagName('parsererror').length > 0) {
+    return null;
+  }
+  return document;
+}
+
+// Exceptions thrown by synchronous requests for the request error steps' events
+const synchronousExceptionNames = {
+  abort: 'AbortError',
+  error: 'NetworkError',
+  timeout: 'TimeoutError',
+};
+
+// https://fetch.spec.whatwg.org/#redirect-status
+const redirectStatuses = [301, 302, 303, 307, 308];
+
+// Maximum number of redirects of a request. See https://fetch.spec.whatwg.org/#http-redirect-fetch
+const redirectLimit = 20;
+
+// https://fetch.spec.whatwg.org/#request-body-header-name
+const requestBodyHeaderNames = [
+  'Content-Encoding',
+  'Content-Language',
+  'Content-Location',
+  'Content-Type',
+];
+
+// Conditional request headers. The HTTP cache doesn't revalidate requests that have one.
+// https://www.rfc-editor.org/rfc/rfc9110#section-13.1
+const conditionalRequestHeaderNames = [
+  'If-Match',
+  'If-Modified-Since',
+  'If-None-Match',
+  'If-Range',
+  'If-Unmodified-Since',
+];
+
+// Methods that don't invalidate the responses stored in the HTTP cache
+// https://www.rfc-editor.org/rfc/rfc9111#section-4.4
+const safeMethods = ['GET', 'HEAD', 'OPTIONS', 'TRACE'];
+
 /**
  * XMLHttpRequest mock for testing.
  * Based on https://xhr.spec.whatwg.org version '28 November 2018'.
@@ -22,23 +124,27 @@ function throwError(type, text = '') {
  *  - events and states
  *  - open(), setRequestHeader(), send() and abort()
  *  - upload and download progress events
+ *  - response bodies received in chunks (see MockXhr.downloadChunk())
  *  - response status, statusText, headers and body
  *  - the timeout attribute (can be disabled) (since v4.0.0)
  *  - simulating a network error
  *  - simulating a request timeout (see MockXhr.setRequestTimeout())
+ *  - following redirect responses and the responseURL attribute
+ *  - parsing the url relative to a base url (see MockXhr.baseUrl) with username and password
+ *  - an injectable clock for the timeout attribute and hooks (see MockXhr.clock and VirtualClock)
+ *  - synchronous requests (i.e. async == false) answered by synchronous onSend hooks. The mock
+ *    simulates a Window context, where the spec forbids synchronous requests with a timeout or a
+ *    responseType: open(), the timeout setter and the responseType setter throw in that case.
+ *  - overrideMimeType() and charset decoding of response bodies
+ *  - an opt-in CORS simulation with preflight requests (see MockXhr.corsOrigin)
+ *  - an opt-in cookie jar (see MockXhr.cookieJar)
+ *  - an opt-in HTTP cache (see MockXhr.httpCache)
  *
  * Partial support:
- *  - overrideMimeType(): throws when required, but has no other effect.
- *  - responseType: '', 'text' and 'json' are fully supported. Other responseType values can also be
- *    used, but they will return the response body given to setResponseBody() as-is in xhr.response.
- *  - responseXml: the response body is not converted to a document response. To get a document
- *    response, use it directly as the response body in setResponseBody().
- *
- * Not supported:
- * - synchronous requests (i.e. async == false)
- * - parsing the url and setting the username and password since there are no actual HTTP requests
- * - responseUrl (i.e. the final request url with redirects) is not automatically set. This can be
- *   emulated in a request handler.
+ *  - responseType: all the values are fully supported for string and BufferSource response bodies.
+ *    Other response bodies (e.g. a Document) are returned as-is in xhr.response.
+ *  - responseXml: documents are parsed by MockXhr.documentParser (DOMParser by default, when
+ *    available). Other response bodies (e.g. a Document) are returned as-is.
  */
 export default class MockXhr extends EventTarget {
   /**
@@ -52,6 +158,10 @@ export default class MockXhr extends EventTarget {
     this._timeout = 0;
     this._upload = new EventTarget(this);
     this._response = this._networkErrorResponse();
+    this._responseObject = null;
+    this._overrideMimeType = null;
+    this._corsPreflight = null;
+    this._resetHttpCacheState();
 
     // Per-instance flag to enable the effects of the timeout attribute
     this.timeoutEnabled = true;
@@ -88,32 +198,49 @@ export default class MockXhr extends EventTarget {
   /////////////
 
   /**
-   * Set the request method and url.
+   * Set the request method and url. The url is resolved relative to the base url of the MockXhr
+   * class (see MockXhr.baseUrl). Relative urls stay relative if there is no base url. The url
+   * property is set to the parsed url (e.g. 'url' becomes '/url').
    * https://xhr.spec.whatwg.org/#the-open()-method
    *
    * @param {string} method request HTTP method (GET, POST, etc.)
    * @param {string} url request url
-   * @param {boolean} async async request flag (only true is supported)
+   * @param {boolean} async async request flag. Synchronous requests call the onSend hooks
+   * synchronously from send(), which throws if they don't produce a complete response.
+   * @param {?string} username username set in absolute urls (optional)
+   * @param {?string} password password set in absolute urls (optional)
    */
-  open(method, url, async = true) {
-    if (!async) {
-      throw new Error('async = false is not supported.');
-    }
+  open(method, url, async = true, username = null, password = null) {
     if (isRequestMethodForbidden(method)) {
       throwError('SecurityError', `Method "${method}" forbidden.`);
     }
     method = normalizeHTTPMethodName(method);
-    // Skip parsing the url and setting the username and password
+    try {
+      url = resolveUrl(url, this.constructor.baseUrl, { username, password });
+    } catch (e) {
+      throwError('SyntaxError', `Invalid url "${url}".`);
+    }
+
+    if (!async && (this._timeout !== 0 || this.responseType !== '')) {
+      throwError('InvalidAccessError');
+    }
 
     this._terminateRequest();
 
     // Set variables
     this._sendFlag = false;
+    this._synchronousFlag = !async;
     this._uploadListenerFlag = false;
     this.method = method;
     this.url = url;
+    if (async) {
+      synchronousRequests.delete(this);
+    } else {
+      synchronousRequests.add(this);
+    }
     this.requestHeaders.reset();
-    this._response = this._networkErrorResponse();
+    this._resetHttpCacheState();
+    this._setResponse(this._networkErrorResponse());
     if (this._readyState !== MockXhr.OPENED) {
       this._readyState = MockXhr.OPENED;
       this._fireReadyStateChange();
@@ -157,7 +284,9 @@ export default class MockXhr extends EventTarget {
    * @param {number} value timeout value
    */
   set timeout(value) {
-    // Since this library is meant to run on node, skip the step involving the Window object.
+    if (this._synchronousFlag) {
+      throwError('InvalidAccessError');
+    }
     this._timeout = value;
     if (this._sendFlag && this.timeoutEnabled && this.constructor.timeoutEnabled) {
       // A fetch is active so schedule a request timeout
@@ -218,41 +347,38 @@ export default class MockXhr extends EventTarget {
       body = null;
     }
 
+    this._multipartBoundary = generateMultipartBoundary();
     if (body !== null) {
-      let extractedContentType = null;
-
       // Document body type not supported
-
-      // https://fetch.spec.whatwg.org/#concept-bodyinit-extract
-      {
-        let contentType = null;
-        if (typeof body === 'string') {
-          contentType = 'text/plain;charset=UTF-8';
-        } else if (body.type) {
-          // As specified for Blob
-          contentType = body.type;
+      const extractedContentType = getBodyContentType(body, this._multipartBoundary);
+
+      const originalAuthorContentType = this.requestHeaders.getHeader('Content-Type');
+      if (originalAuthorContentType !== null) {
+        // Step "4. If author request headers contains `Content-Type`, then:"
+        const contentType = parseMimeType(originalAuthorContentType);
+        if (typeof body === 'string' && contentType !== null
+          && contentType.parameters.has('charset')
+          && contentType.parameters.get('charset').toLowerCase() !== 'utf-8') {
+          contentType.parameters.set('charset', 'UTF-8');
+          this.requestHeaders.removeHeader('Content-Type');
+          this.requestHeaders.addHeader('Content-Type', serializeMimeType(contentType));
         }
-
-        // BufferSource, FormData, etc. not handled specially
-        extractedContentType = contentType;
-      }
-
-      /*
-      * Skipping step "4. If author request headers contains `Content-Type`, then:"
-      * Parsing mime type strings and overriding the charset to UTF-8 seems like a lot of work
-      * for little gain. If I'm wrong, please open an issue or better yet a pull request.
-      */
-
-      if (this.requestHeaders.getHeader('Content-Type') === null && extractedContentType !== null) {
+      } else if (extractedContentType !== null) {
         this.requestHeaders.addHeader('Content-Type', extractedContentType);
       }
     }
 
-    this._uploadListenerFlag = this._upload.hasListeners();
+    this._uploadListenerFlag = !this._synchronousFlag && this._upload.hasListeners();
     this.body = body;
     this._uploadCompleteFlag = this.body === null;
     this._timedOutFlag = false;
     this._sendFlag = true;
+    this._redirectCount = 0;
+
+    if (this._synchronousFlag) {
+      this._sendSynchronously();
+      return;
+    }
 
     this._fireEvent('loadstart', 0, 0);
     if (!this._uploadCompleteFlag && this._uploadListenerFlag) {
@@ -264,20 +390,9 @@ export default class MockXhr extends EventTarget {
       return;
     }
 
-    this._timeoutReference = Date.now();
+    this._timeoutReference = this.constructor.clock.now();
     this._scheduleRequestTimeout();
-
-    // Hook for XMLHttpRequest.send(). Execute in an empty callstack
-    if (typeof this.onSend === 'function') {
-      // Save the callback in case it changes before it has a chance to run
-      const { onSend } = this;
-      setTimeout(() => onSend.call(this, this), 0);
-    }
-    if (typeof MockXhr.onSend === 'function') {
-      // Save the callback in case it changes before it has a chance to run
-      const { onSend } = MockXhr;
-      setTimeout(() => onSend.call(this, this), 0);
-    }
+    this._fetch();
   }
 
   /**
@@ -296,14 +411,45 @@ export default class MockXhr extends EventTarget {
     if (this._readyState === MockXhr.DONE) {
       // No readystatechange event is dispatched.
       this._readyState = MockXhr.UNSENT;
-      this._response = this._networkErrorResponse();
+      this._setResponse(this._networkErrorResponse());
     }
   }
 
+  /**
+   * The request body serialized like a browser sends it: URLSearchParams bodies as a string and
+   * FormData bodies as a multipart/form-data string (or Blob when they contain files) with the
+   * boundary of the request's Content-Type. Other request bodies are returned as-is.
+   *
+   * @returns {*} serialized request body
+   */
+  get serializedBody() {
+    return this.body === undefined
+      ? null
+      : serializeBody(this.body, this._multipartBoundary, getBlobClass());
+  }
+
   //////////////
   // Response //
   //////////////
 
+  /**
+   * https://xhr.spec.whatwg.org/#the-responseurl-attribute
+   *
+   * @returns {string} responseURL attribute
+   */
+  get responseURL() {
+    // Serialized with the "exclude fragment" flag set
+    return this._response.url ? this._response.url.split('#')[0] : '';
+  }
+
+  /**
+   * noop setter
+   *
+   * @param {*} value ignored value
+   * @returns {string} value
+   */
+  set responseURL(value) { return value; }
+
   /**
    * https://xhr.spec.whatwg.org/#dom-xmlhttprequest-status
    *
@@ -364,11 +510,12 @@ export default class MockXhr extends EventTarget {
    *
    * @param {string} mime MIME type
    */
-  overrideMimeType(/* mime */) {
+  overrideMimeType(mime) {
     if (this._readyState === MockXhr.LOADING || this._readyState === MockXhr.DONE) {
       throwError('InvalidStateError');
     }
-    // noop
+    this._overrideMimeType = parseMimeType(String(mime))
+      || parseMimeType('application/octet-stream');
   }
 
   /**
@@ -386,11 +533,14 @@ export default class MockXhr extends EventTarget {
    * @param {string} value responseType value
    */
   set responseType(value) {
-    // Since this library is meant to run on node, skip the steps involving the Window object.
     if (this._readyState === MockXhr.LOADING || this._readyState === MockXhr.DONE) {
       throwError('InvalidStateError');
     }
 
+    if (this._synchronousFlag) {
+      throwError('InvalidAccessError');
+    }
+
     // The spec doesn't mandate throwing anything on invalid values since values must be of type
     // XMLHttpRequestResponseType. Observed browser behavior is to ignore invalid values.
     const responseTypes = ['', 'arraybuffer', 'blob', 'document', 'json', 'text'];
@@ -409,28 +559,18 @@ export default class MockXhr extends EventTarget {
       if (this._readyState !== MockXhr.LOADING && this._readyState !== MockXhr.DONE) {
         return '';
       }
-
-      // No support for charset decoding as outlined in https://xhr.spec.whatwg.org/#text-response
-      return this._response.body === null ? '' : this._response.body;
+      return this._getTextResponse();
     }
 
     if (this._readyState !== MockXhr.DONE) {
       return null;
     }
 
-    if (this.responseType === 'json') {
-      if (this._response.body === null) {
-        return null;
-      }
-      try {
-        return JSON.parse(this._response.body);
-      } catch (e) {
-        return null;
-      }
+    // The response object is created once per response
+    if (this._responseObject === null) {
+      this._responseObject = { value: this._createResponseObject() };
     }
-
-    // Other responseTypes are sent as-is. They can be given directly by setResponseBody() anyway.
-    return this._response.body;
+    return this._responseObject.value;
   }
 
   /**
@@ -453,9 +593,7 @@ export default class MockXhr extends EventTarget {
     if (this._readyState !== MockXhr.LOADING && this._readyState !== MockXhr.DONE) {
       return '';
     }
-
-    // No support for charset decoding as outlined in https://xhr.spec.whatwg.org/#text-response
-    return this._response.body === null ? '' : this._response.body;
+    return this._getTextResponse();
   }
 
   /**
@@ -478,11 +616,10 @@ export default class MockXhr extends EventTarget {
     if (this._readyState !== MockXhr.DONE) {
       return null;
     }
-
-    // Since this library is meant to run on node, there is no support for charset decoding as
-    // outlined in https://xhr.spec.whatwg.org/#text-response
-    // If needed, a document response can be given to setResponseBody() to be returned here.
-    return this._response.body === null ? '' : this._response.body;
+    if (this._responseObject === null) {
+      this._responseObject = { value: this._createDocumentResponse() };
+    }
+    return this._responseObject.value;
   }
 
   /**
@@ -523,12 +660,22 @@ export default class MockXhr extends EventTarget {
    */
   respond(status, headers, body, statusText) {
     this.setResponseHeaders(status, headers, statusText);
-    this.setResponseBody(body);
+
+    // Followed redirects and network errors have no response body
+    if (this._readyState === MockXhr.HEADERS_RECEIVED) {
+      this.setResponseBody(body);
+    }
   }
 
   /**
    * Set only the response headers. Will change the state to HEADERS_RECEIVED.
    *
+   * Redirect responses (status 301, 302, 303, 307 or 308 with a Location header) are followed
+   * instead: the request is sent again to the new url through the onSend hooks and the state stays
+   * OPENED. Exceeding the redirect limit (20) results in a network error. A 304 response to the
+   * revalidation of a stored response of the HTTP cache (see MockXhr.httpCache) is replaced by the
+   * stored response.
+   *
    * @param {?number} status response http status (default 200)
    * @param {?object} headers name-value headers (optional)
    * @param {?string} statusText response http status text (optional)
@@ -537,15 +684,62 @@ export default class MockXhr extends EventTarget {
     if (this._readyState !== MockXhr.OPENED || !this._sendFlag) {
       throw new Error('Mock usage error detected.');
     }
+    status = typeof status === 'number' ? status : 200;
+    const isCorsPreflight = corsPreflights.has(this);
+    if (!isCorsPreflight) {
+      this._storeResponseCookies(headers);
+    }
+    headers = new HeadersContainer(headers);
+
+    // Set-Cookie is never exposed
+    // https://fetch.spec.whatwg.org/#forbidden-response-header-name
+    headers.removeHeader('Set-Cookie');
+    headers.removeHeader('Set-Cookie2');
+
+    // A 304 response to the revalidation of the HTTP cache updates and delivers the stored response
+    const { httpCache } = this.constructor;
+    if (status === 304 && this._revalidatedCacheEntry !== null) {
+      const entry = httpCache.update(this._revalidatedCacheEntry, headers);
+      this._revalidatedCacheEntry = null;
+      this._cachedResponseEntry = entry;
+      status = entry.status;
+      statusText = entry.statusText;
+      headers = new HeadersContainer(entry.headers);
+    }
+
+    // Preflight responses are checked by the request that sent the preflight
+    const { corsOrigin } = this.constructor;
+    const isCorsResponse = !isCorsPreflight && isCrossOrigin(this.url, corsOrigin);
+    if (isCorsResponse && !corsCheck(headers, corsOrigin, this._withCredentials)) {
+      this._processResponse(this._networkErrorResponse());
+      return;
+    }
+
+    const location = headers.getHeader('Location');
+    if (!isCorsPreflight && redirectStatuses.includes(status) && location !== null) {
+      this._followRedirect(status, location);
+      return;
+    }
+    const statusMessage = statusText !== undefined ? statusText : getStatusText(status);
+    if (httpCache && !isCorsPreflight && this._cachedResponseEntry === null) {
+      if (this.method === 'GET') {
+        this._cacheableResponse = { status, statusText: statusMessage, headers: headers.getHash() };
+      } else if (!safeMethods.includes(this.method) && status >= 200 && status < 400) {
+        httpCache.invalidate(this.url);
+      }
+    }
+    if (isCorsResponse) {
+      headers = filterCorsResponseHeaders(headers, this._withCredentials);
+    }
+
     if (this.body) {
       this._requestEndOfBody();
     }
-    status = typeof status === 'number' ? status : 200;
-    const statusMessage = statusText !== undefined ? statusText : getStatusText(status);
     this._processResponse({
+      url: this.url,
       status,
       statusMessage,
-      headers: new HeadersContainer(headers),
+      headers,
     });
   }
 
@@ -566,6 +760,11 @@ export default class MockXhr extends EventTarget {
       this._readyState = MockXhr.LOADING;
     }
 
+    // Synchronous requests have no progress events
+    if (this._synchronousFlag) {
+      return;
+    }
+
     // As stated in https://xhr.spec.whatwg.org/#the-send()-method
     // Web compatibility is the reason readystatechange fires more often than
     // state changes.
@@ -573,12 +772,34 @@ export default class MockXhr extends EventTarget {
     this._fireEvent('progress', transmitted, length);
   }
 
+  /**
+   * Receive a chunk of the response body. Will set the state to LOADING and fire a response
+   * progress event. The response body received so far is available in responseText and response.
+   * The progress event counts the UTF-8 bytes received so far and its total is the Content-Length
+   * response header, if any.
+   *
+   * @param {string} chunk response body chunk
+   */
+  downloadChunk(chunk) {
+    if (this._readyState !== MockXhr.HEADERS_RECEIVED
+      && this._readyState !== MockXhr.LOADING) {
+      throw new Error('Mock usage error detected.');
+    }
+    const { body } = this._response;
+    this._response.body = body !== undefined && body !== null ? body + chunk : chunk;
+    this.downloadProgress(
+      getBodyByteLength(this._response.body),
+      this._getResponseContentLength()
+    );
+  }
+
   /**
    * Set the response body. Will set the state to DONE.
    *
-   * @param {?*} body response body (default null)
+   * @param {?*} body response body (default null or the chunks received by downloadChunk()).
+   * Ignored when the response is a stored response of the HTTP cache.
    */
-  setResponseBody(body = null) {
+  setResponseBody(body) {
     if (!this._sendFlag
       || (this._readyState !== MockXhr.OPENED
         && this._readyState !== MockXhr.HEADERS_RECEIVED
@@ -594,9 +815,22 @@ export default class MockXhr extends EventTarget {
     // Web compatibility is the reason readystatechange fires more often than
     // state changes.
     this._readyState = MockXhr.LOADING;
-    this._fireReadyStateChange();
+    if (!this._synchronousFlag) {
+      this._fireReadyStateChange();
+    }
 
-    this._response.body = body !== undefined ? body : null;
+    if (this._cachedResponseEntry !== null) {
+      body = this._cachedResponseEntry.body;
+    } else if (body === undefined) {
+      // Keep the chunks received by downloadChunk(), if any
+      body = this._response.body !== undefined ? this._response.body : null;
+    }
+    this._response.body = body;
+    if (this._cacheableResponse !== null) {
+      this._cacheableResponse.body = body;
+      this.constructor.httpCache.store(this.url, this.requestHeaders, this._cacheableResponse);
+      this._cacheableResponse = null;
+    }
     this._handleResponseEndOfBody();
   }
 
@@ -626,6 +860,257 @@ export default class MockXhr extends EventTarget {
   // Request and response handling //
   ///////////////////////////////////
 
+  /**
+   * Send the current request through the onSend hooks. Cross-origin requests of the CORS
+   * simulation (see MockXhr.corsOrigin) get the Origin header and are sent after a successful
+   * preflight request when they need one. Requests can be served by the HTTP cache.
+   * https://fetch.spec.whatwg.org/#concept-fetch
+   */
+  _fetch() {
+    const { cookieJar, corsOrigin } = this.constructor;
+    if (cookieJar && !corsPreflights.has(this)) {
+      this.requestHeaders.removeHeader('Cookie');
+      const cookieHeader = this._includesCredentials() ? cookieJar.getCookieHeader(this.url) : null;
+      if (cookieHeader !== null) {
+        this.requestHeaders.addHeader('Cookie', cookieHeader);
+      }
+    }
+    if (!corsPreflights.has(this) && isCrossOrigin(this.url, corsOrigin)) {
+      if (this.requestHeaders.getHeader('Origin') === null) {
+        this.requestHeaders.addHeader('Origin', serializeOrigin(corsOrigin));
+      }
+      const unsafeHeaderNames = getUnsafeRequestHeaderNames(this.requestHeaders);
+      if (needsPreflight(this.method, unsafeHeaderNames, this._uploadListenerFlag)) {
+        this._sendCorsPreflight(unsafeHeaderNames);
+        return;
+      }
+    }
+    this._httpNetworkOrCacheFetch();
+  }
+
+  /**
+   * Send a preflight OPTIONS request through the onSend hooks with a new instance of the MockXhr
+   * class. The current request is sent if the preflight response allows it. Otherwise, it results
+   * in a network error.
+   * https://fetch.spec.whatwg.org/#cors-preflight-fetch
+   *
+   * @param {string[]} unsafeHeaderNames names of the request headers that need a preflight
+   */
+  _sendCorsPreflight(unsafeHeaderNames) {
+    const { corsOrigin } = this.constructor;
+    const preflight = new this.constructor();
+    corsPreflights.add(preflight);
+    preflight.open('OPTIONS', this.url, !this._synchronousFlag);
+    preflight.requestHeaders.addHeader('Accept', '*/*');
+    preflight.requestHeaders.addHeader('Origin', serializeOrigin(corsOrigin));
+    preflight.requestHeaders.addHeader('Access-Control-Request-Method', this.method);
+    if (unsafeHeaderNames.length > 0) {
+      preflight.requestHeaders.addHeader('Access-Control-Request-Headers', unsafeHeaderNames.join(','));
+    }
+    this._corsPreflight = preflight;
+
+    const onPreflightEnd = () => {
+      // Ignore the preflights of terminated or completed requests
+      if (this._corsPreflight !== preflight || !this._sendFlag) {
+        return;
+      }
+      this._corsPreflight = null;
+      const preflightHeaders = { getHeader: (name) => preflight.getResponseHeader(name) };
+      if (corsPreflightCheck(preflight.status, preflightHeaders, {
+        origin: corsOrigin,
+        method: this.method,
+        unsafeHeaderNames,
+        withCredentials: this._withCredentials,
+      })) {
+        this._httpNetworkOrCacheFetch();
+      } else {
+        this._processResponse(this._networkErrorResponse());
+      }
+    };
+
+    if (this._synchronousFlag) {
+      try {
+        preflight.send();
+      } catch (e) {
+        // The network error is detected by the preflight check
+      }
+      onPreflightEnd();
+    } else {
+      preflight.addEventListener('loadend', onPreflightEnd);
+      preflight.send();
+    }
+  }
+
+  /**
+   * Credentials (i.e. cookies) are included in same-origin requests and in cross-origin requests
+   * with withCredentials.
+   * https://fetch.spec.whatwg.org/#http-network-or-cache-fetch
+   *
+   * @returns {boolean} whether the current request includes credentials
+   */
+  _includesCredentials() {
+    return this._withCredentials || !isCrossOrigin(this.url, this.constructor.corsOrigin);
+  }
+
+  /**
+   * Store the cookies of the Set-Cookie response headers in the cookie jar of the MockXhr class,
+   * if any. Multiple cookies are set with an array of Set-Cookie header values.
+   *
+   * @param {?object} headers name-value response headers
+   */
+  _storeResponseCookies(headers) {
+    const { cookieJar } = this.constructor;
+    if (!cookieJar || !headers || !this._includesCredentials()) {
+      return;
+    }
+    Object.keys(headers).forEach((name) => {
+      if (name.toLowerCase() === 'set-cookie') {
+        [].concat(headers[name]).forEach((setCookie) => cookieJar.setCookie(setCookie, this.url));
+      }
+    });
+  }
+
+  /**
+   * Serve the current request from the HTTP cache of the MockXhr class (see MockXhr.httpCache) if
+   * it stores a fresh response to it. Otherwise, send the request through the onSend hooks, with
+   * the conditional request headers that revalidate the stale stored response, if any.
+   * https://fetch.spec.whatwg.org/#concept-http-network-or-cache-fetch
+   */
+  _httpNetworkOrCacheFetch() {
+    const { httpCache } = this.constructor;
+
+    // Conditional headers added for a previous url (e.g. before a redirect) don't apply
+    this._cacheConditionalHeaderNames.forEach((name) => this.requestHeaders.removeHeader(name));
+    this._resetHttpCacheState();
+    // Range requests bypass the cache, which only stores complete responses
+    const isRangeRequest = this.requestHeaders.getHeader('Range') !== null;
+    if (httpCache && this.method === 'GET' && !isRangeRequest && !corsPreflights.has(this)) {
+      const entry = httpCache.match(this.url, this.requestHeaders);
+      if (entry !== null && httpCache.isFresh(entry, this.requestHeaders)) {
+        this._respondFromHttpCache(entry);
+        return;
+      }
+
+      // Requests with author conditional headers get the responses to their own conditions
+      const hasConditionalHeaders = conditionalRequestHeaderNames.some((name) => {
+        return this.requestHeaders.getHeader(name) !== null;
+      });
+      if (entry !== null && !hasConditionalHeaders) {
+        const { etag, 'last-modified': lastModified } = entry.headers;
+        if (etag !== undefined) {
+          this.requestHeaders.addHeader('If-None-Match', etag);
+          this._cacheConditionalHeaderNames.push('If-None-Match');
+        }
+        if (lastModified !== undefined) {
+          this.requestHeaders.addHeader('If-Modified-Since', lastModified);
+          this._cacheConditionalHeaderNames.push('If-Modified-Since');
+        }
+        if (this._cacheConditionalHeaderNames.length > 0) {
+          this._revalidatedCacheEntry = entry;
+        }
+      }
+    }
+    this._callOnSendHooks();
+  }
+
+  /**
+   * Respond to the current request with a fresh response of the HTTP cache, without calling the
+   * onSend hooks. The onCacheHit hook of the MockXhr class is called instead. The response is
+   * received in an empty callstack, or immediately for synchronous requests.
+   *
+   * @param {object} entry stored response
+   */
+  _respondFromHttpCache(entry) {
+    this._cachedResponseEntry = entry;
+    if (typeof this.constructor.onCacheHit === 'function') {
+      this.constructor.onCacheHit.call(this, this);
+    }
+    const respond = () => {
+      // Ignore the cache hits of terminated or completed requests
+      if (this._cachedResponseEntry === entry && this._sendFlag
+        && this._readyState === MockXhr.OPENED) {
+        this.respond(entry.status, entry.headers, entry.body, entry.statusText);
+      }
+    };
+    if (this._synchronousFlag) {
+      respond();
+    } else {
+      this.constructor.clock.setTimeout(respond, 0);
+    }
+  }
+
+  /**
+   * Reset the HTTP cache state of the current request.
+   */
+  _resetHttpCacheState() {
+    // Names of the conditional request headers added to revalidate a stored response
+    this._cacheConditionalHeaderNames = [];
+
+    // Stored response revalidated by the current request
+    this._revalidatedCacheEntry = null;
+
+    // Stored response whose body is the response body (fresh or successfully revalidated)
+    this._cachedResponseEntry = null;
+
+    // Response to store in the HTTP cache once its body is received
+    this._cacheableResponse = null;
+  }
+
+  /**
+   * Call the onSend hooks for the current request: the hook of the instance, the hook of MockXhr
+   * and the hook of the MockXhr subclass (e.g. created by newMockXhr()), if it has its own.
+   */
+  _callOnSendHooks() {
+    // Hook for XMLHttpRequest.send()
+    if (typeof this.onSend === 'function') {
+      this._callOnSendHook(this.onSend);
+    }
+    if (typeof MockXhr.onSend === 'function') {
+      this._callOnSendHook(MockXhr.onSend);
+    }
+    const { onSend } = this.constructor;
+    if (typeof onSend === 'function' && onSend !== MockXhr.onSend) {
+      this._callOnSendHook(onSend);
+    }
+  }
+
+  /**
+   * Call an onSend hook in an empty callstack, or immediately for synchronous requests.
+   *
+   * @param {Function} onSend hook
+   */
+  _callOnSendHook(onSend) {
+    if (this._synchronousFlag) {
+      onSend.call(this, this);
+    } else {
+      // Pass the hook as an argument in case it changes before it has a chance to run
+      this.constructor.clock.setTimeout(() => onSend.call(this, this), 0);
+    }
+  }
+
+  /**
+   * Synchronous part of send(). The onSend hooks must produce a complete response before they
+   * return. Errors are thrown as exceptions instead of firing events.
+   * https://xhr.spec.whatwg.org/#the-send()-method
+   */
+  _sendSynchronously() {
+    this._synchronousException = null;
+    this._fetch();
+    if (this._sendFlag) {
+      this._processResponse(this._networkErrorResponse());
+      this._synchronousException = {
+        name: 'NetworkError',
+        message: `No response to the synchronous request ${this.method} ${this.url}.`,
+      };
+    }
+
+    const exception = this._synchronousException;
+    if (exception !== null) {
+      this._synchronousException = null;
+      throwError(exception.name, exception.message);
+    }
+  }
+
   /**
    * Note: the "process request body" task is in the MockXhr response methods
    * Process request end-of-body task. When the whole request is sent.
@@ -644,6 +1129,41 @@ export default class MockXhr extends EventTarget {
     }
   }
 
+  /**
+   * Follow a redirect by sending the request to the resolved location through the onSend hooks.
+   * The method, url and body of the mock reflect the redirected request.
+   * https://fetch.spec.whatwg.org/#http-redirect-fetch
+   *
+   * @param {number} status redirect status
+   * @param {string} location Location response header value
+   */
+  _followRedirect(status, location) {
+    let url = null;
+    try {
+      url = resolveUrl(location, this.url);
+    } catch (e) {
+      // Failure to parse the location is a network error
+    }
+    if (url === null || this._redirectCount >= redirectLimit) {
+      this._processResponse(this._networkErrorResponse());
+      return;
+    }
+    this._redirectCount += 1;
+
+    if (((status === 301 || status === 302) && this.method === 'POST')
+      || (status === 303 && this.method !== 'GET' && this.method !== 'HEAD')) {
+      this.method = 'GET';
+      if (this.body !== null) {
+        // The body was sent to the previous url
+        this._requestEndOfBody();
+        this.body = null;
+      }
+      requestBodyHeaderNames.forEach((name) => this.requestHeaders.removeHeader(name));
+    }
+    this.url = url;
+    this._fetch();
+  }
+
   /**
    * Process response task. When the response headers are received.
    * https://xhr.spec.whatwg.org/#the-send()-method
@@ -651,15 +1171,19 @@ export default class MockXhr extends EventTarget {
    * @param {*} response response
    */
   _processResponse(response) {
-    this._response = response;
+    this._setResponse(response);
     this._handleResponseErrors();
     if (this._isNetworkErrorResponse()) {
       return;
     }
     this._readyState = MockXhr.HEADERS_RECEIVED;
-    this._fireReadyStateChange();
-    if (this._readyState !== MockXhr.HEADERS_RECEIVED) {
-      return;
+
+    // Synchronous requests only fire events once the whole response is received
+    if (!this._synchronousFlag) {
+      this._fireReadyStateChange();
+      if (this._readyState !== MockXhr.HEADERS_RECEIVED) {
+        return;
+      }
     }
     if (this._response.body === null) {
       this._handleResponseEndOfBody();
@@ -676,8 +1200,10 @@ export default class MockXhr extends EventTarget {
     if (this._isNetworkErrorResponse()) {
       return;
     }
-    const length = this._response.body ? this._response.body.length : 0;
-    this._fireEvent('progress', length, length);
+    const length = getBodyByteLength(this._response.body);
+    if (!this._synchronousFlag) {
+      this._fireEvent('progress', length, length);
+    }
     this._readyState = MockXhr.DONE;
     this._sendFlag = false;
     this._fireReadyStateChange();
@@ -711,7 +1237,15 @@ export default class MockXhr extends EventTarget {
   _requestErrorSteps(event) {
     this._readyState = MockXhr.DONE;
     this._sendFlag = false;
-    this._response = this._networkErrorResponse();
+    this._setResponse(this._networkErrorResponse());
+    if (this._synchronousFlag) {
+      // Thrown by send() once the onSend hooks return
+      this._synchronousException = {
+        name: synchronousExceptionNames[event],
+        message: '',
+      };
+      return;
+    }
     this._fireReadyStateChange();
     if (!this._uploadCompleteFlag) {
       this._uploadCompleteFlag = true;
@@ -743,6 +1277,129 @@ export default class MockXhr extends EventTarget {
     };
   }
 
+  _setResponse(response) {
+    this._response = response;
+    this._responseObject = null;
+  }
+
+  /**
+   * Create the response object for the responseType. String and BufferSource response bodies are
+   * converted. Other response bodies are returned as-is.
+   * https://xhr.spec.whatwg.org/#response-object
+   *
+   * @returns {*} response object
+   */
+  _createResponseObject() {
+    const { body } = this._response;
+    if (body === null) {
+      return null;
+    }
+    const bytes = getBodyBytes(body);
+
+    if (this.responseType === 'json') {
+      // https://xhr.spec.whatwg.org/#json-response
+      try {
+        return JSON.parse(typeof body === 'string' || bytes === null ? body : utf8Decode(bytes));
+      } catch (e) {
+        return null;
+      }
+    } else if (bytes === null) {
+      return body;
+    } else if (this.responseType === 'arraybuffer') {
+      // Copy the bytes since the body may be a view on a larger buffer or change
+      return bytes.slice().buffer;
+    } else if (this.responseType === 'document') {
+      return this._createDocumentResponse();
+    } else if (this.responseType === 'blob') {
+      const BlobClass = getBlobClass();
+      return new BlobClass([bytes], { type: serializeMimeType(this._getFinalMimeType()) });
+    }
+    return body;
+  }
+
+  /**
+   * Create the document response with the document parser of the MockXhr class. Response bodies
+   * that are not strings or BufferSource are returned as-is.
+   * https://xhr.spec.whatwg.org/#document-response
+   *
+   * @returns {*} document response or null
+   */
+  _createDocumentResponse() {
+    const { body } = this._response;
+    if (body === null) {
+      return null;
+    }
+    const bytes = getBodyBytes(body);
+    if (bytes === null) {
+      return body;
+    }
+
+    const { essence } = this._getFinalMimeType();
+    const isHtml = essence === 'text/html';
+    if ((!isHtml && !isXmlMimeType(essence)) || (isHtml && this.responseType === '')) {
+      return null;
+    }
+
+    const { documentParser } = this.constructor;
+    if (typeof documentParser !== 'function') {
+      return null;
+    }
+    const text = typeof body === 'string' ? body : decode(bytes, this._getFinalEncoding() || 'UTF-8');
+    try {
+      return documentParser(text, isHtml ? 'text/html' : 'application/xml');
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Decode the response body as text. String response bodies are returned as-is and byte response
+   * bodies are decoded with the final charset. Other response bodies are returned as-is.
+   * https://xhr.spec.whatwg.org/#text-response
+   *
+   * @returns {*} text response
+   */
+  _getTextResponse() {
+    const { body } = this._response;
+    if (body === null) {
+      return '';
+    }
+    const bytes = typeof body === 'string' ? null : getBodyBytes(body);
+    return bytes === null ? body : decode(bytes, this._getFinalEncoding() || 'UTF-8');
+  }
+
+  /**
+   * https://xhr.spec.whatwg.org/#response-mime-type
+   *
+   * @returns {object} parsed MIME type of the response's Content-Type header or text/xml
+   */
+  _getResponseMimeType() {
+    const mimeType = extractMimeType(this._response.headers.getHeader('Content-Type'));
+    return mimeType !== null ? mimeType : parseMimeType('text/xml');
+  }
+
+  /**
+   * https://xhr.spec.whatwg.org/#final-mime-type
+   *
+   * @returns {object} parsed MIME type of the override MIME type or of the response
+   */
+  _getFinalMimeType() {
+    return this._overrideMimeType !== null ? this._overrideMimeType : this._getResponseMimeType();
+  }
+
+  /**
+   * https://xhr.spec.whatwg.org/#final-charset
+   *
+   * @returns {?string} encoding of the override MIME type's or of the response's charset, or null
+   */
+  _getFinalEncoding() {
+    let label = this._getResponseMimeType().parameters.get('charset');
+    if (this._overrideMimeType !== null && this._overrideMimeType.parameters.has('charset')) {
+      label = this._overrideMimeType.parameters.get('charset');
+    }
+    return label !== undefined ? getEncoding(label) : null;
+  }
+
   _isNetworkErrorResponse() {
     return this._response.type === 'error';
   }
@@ -750,13 +1407,20 @@ export default class MockXhr extends EventTarget {
   _terminateRequest() {
     delete this.method;
     delete this.url;
+    if (this._corsPreflight !== null) {
+      const preflight = this._corsPreflight;
+      this._corsPreflight = null;
+      preflight.abort();
+    }
+  }
+
+  _getResponseContentLength() {
+    const length = parseInt(this._response.headers.getHeader('Content-Length'), 10);
+    return Number.isNaN(length) ? 0 : length;
   }
 
   _getRequestBodySize() {
-    if (!this.body) {
-      return 0;
-    }
-    return this.body.size ? this.body.size : this.body.length;
+    return getBodyByteLength(this.body);
   }
 
   _newEvent(name, transmitted, length) {
@@ -780,16 +1444,18 @@ export default class MockXhr extends EventTarget {
   }
 
   _scheduleRequestTimeout() {
+    const { clock } = this.constructor;
+
     // Cancel any previous timeout task
     if (this._timeoutTask) {
-      clearTimeout(this._timeoutTask);
+      clock.clearTimeout(this._timeoutTask);
     }
 
     if (this._timeout > 0) {
       // The timeout delay must be measured relative to the start of fetching
       // https://xhr.spec.whatwg.org/#the-timeout-attribute
-      const delay = Math.max(0, this._timeout - (Date.now() - this._timeoutReference));
-      this._timeoutTask = setTimeout(() => {
+      const delay = Math.max(0, this._timeout - (clock.now() - this._timeoutReference));
+      this._timeoutTask = clock.setTimeout(() => {
         if (this._sendFlag) {
           this.setRequestTimeout();
         }
@@ -802,6 +1468,31 @@ export default class MockXhr extends EventTarget {
 // Global flag to enable the effects of the timeout attribute
 MockXhr.timeoutEnabled = true;
 
+// Base url used to resolve request urls, like the document base url of a browser. Relative urls
+// stay relative when it's null.
+MockXhr.baseUrl = null;
+
+// Origin of the page that sends the requests for the CORS simulation, e.g. 'https://example.com'.
+// Requests to other origins are cross-origin requests checked like in a browser. The CORS
+// simulation is disabled when it's null.
+MockXhr.corsOrigin = null;
+
+// Cookie jar that stores the cookies of the responses and sets the Cookie header of the requests
+// (see CookieJar). Cookies are disabled when it's null.
+MockXhr.cookieJar = null;
+
+// HTTP cache that stores the responses to GET requests, serves the fresh ones without calling the
+// onSend hooks and revalidates the stale ones (see HttpCache). Caching is disabled when it's null.
+MockXhr.httpCache = null;
+
+// Function that parses document responses. Called with the response text and either 'text/html'
+// or 'application/xml' like DOMParser.parseFromString(). Returns a Document or null on failure.
+MockXhr.documentParser = parseDocument;
+
+// Clock used for the timeout attribute and to call the onSend hooks. Either realClock (real timers
+// and time) or a VirtualClock (or any object with the same now(), setTimeout() and clearTimeout()).
+MockXhr.clock = realClock;
+
 /**
  * The client states
  * https://xhr.spec.whatwg.org/#states
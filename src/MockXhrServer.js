@@ -1,4 +1,22 @@
-import { normalizeHTTPMethodName } from './Utils';
+import { createRangeResponse } from './ByteRanges';
+import CookieJar, { parseCookieHeader } from './CookieJar';
+import HttpCache from './HttpCache';
+import MockXhr, { isSynchronousRequest } from './MockXhr';
+import Route from './Route';
+import ResourceStore, { createResourceHandlers } from './ResourceStore';
+import { compileUrlMatcher, describeMatcher, parseUrl } from './RouteMatcher';
+import {
+  getBodyByteLength,
+  getUrlComponents,
+  normalizeHTTPMethodName,
+  realClock,
+} from './Utils';
+
+// Number of routes listed in the description of unhandled requests
+const maxClosestRoutes = 3;
+
+// Maximum length of request bodies in the description of unhandled requests
+const maxDescribedBodyLength = 200;
 
 /**
  * Mock server for responding to XMLHttpRequest mocks from the class MockXhr. Provides simple route
@@ -10,16 +28,77 @@ export default class MockXhrServer {
    *
    * @param {MockXhr} xhrMock XMLHttpRequest mock class
    * @param {?object} routes routes
+   * @param {?object} options server options:
+   * - handlerErrorResponse: response for request handlers that throw an error or return a rejected
+   *   Promise. Either a response object (default { status: 500 }) or 'networkError' to simulate a
+   *   network error.
+   * - delay: simulated latency of all responses (default 0). See addHandler().
+   * - chunked: deliver all string response bodies in chunks. See addHandler().
+   * - upload: simulate upload progress for all request bodies. See addHandler().
+   * - baseUrl: base url used to resolve request urls. Sets xhrMock.baseUrl.
+   * - strict: whether requests that don't match any route are errors (default false). They get a
+   *   network error response and remove() or verify() throws an error that describes them.
+   * - onUnhandledRequest: reaction to requests that don't match any route. Either 'error' to log
+   *   an error and give them a network error response, 'warn' to log a warning, 'ignore' (default)
+   *   or a Function called with the request and a message that describes it.
+   * - manual: queue the requests that match a route until they are answered with respondNext(),
+   *   flush() or the respond() method of the requests returned by pending() (default false).
+   * - clock: clock used for request dispatch, delays and timestamps, e.g. a VirtualClock. Sets
+   *   xhrMock.clock.
+   * - cors: enable the CORS simulation. Object with the property origin, the origin of the page
+   *   that sends the requests. Sets xhrMock.corsOrigin.
+   * - cookies: enable cookies. Either true for a new CookieJar that uses the server's clock and is
+   *   cleared by reset() or a CookieJar. Sets xhrMock.cookieJar.
+   * - cache: enable the HTTP cache. Either true for a new HttpCache that uses the server's clock
+   *   and is cleared by reset() or an HttpCache. Sets xhrMock.httpCache. Requests served by the
+   *   cache don't reach the routes and are logged with cacheHit true.
    */
-  constructor(xhrMock, routes = {}) {
+  constructor(xhrMock, routes = {}, options = {}) {
     this.MockXhr = xhrMock;
     this._requests = [];
+    this._requestLog = [];
+    this._requestWaiters = [];
+    this._currentRequests = new WeakMap();
     this._routes = {};
+    this._overrides = {};
+    this._handlerErrorResponse = options.handlerErrorResponse || { status: 500 };
+    this._delay = normalizeDelay(options.delay);
+    this._chunked = options.chunked;
+    this._upload = options.upload;
+    this._strict = !!options.strict;
+    this._onUnhandledRequest = options.onUnhandledRequest || 'ignore';
+    this._unhandledRequests = [];
+    this._manual = !!options.manual;
+    this._pending = [];
+    this._ownCookieJar = null;
+    this._ownHttpCache = null;
+    if (options.baseUrl !== undefined) {
+      xhrMock.baseUrl = options.baseUrl;
+    }
+    if (options.clock !== undefined) {
+      xhrMock.clock = options.clock;
+    }
+    if (options.cors !== undefined) {
+      xhrMock.corsOrigin = options.cors.origin;
+    }
+    if (options.cookies instanceof CookieJar) {
+      xhrMock.cookieJar = options.cookies;
+    } else if (options.cookies) {
+      this._ownCookieJar = new CookieJar({ now: () => this.clock.now() });
+      xhrMock.cookieJar = this._ownCookieJar;
+    }
+    if (options.cache instanceof HttpCache) {
+      xhrMock.httpCache = options.cache;
+    } else if (options.cache) {
+      this._ownHttpCache = new HttpCache({ now: () => this.clock.now() });
+      xhrMock.httpCache = this._ownHttpCache;
+    }
     Object.keys(routes).forEach((method) => {
       const [matcher, handler] = routes[method];
       this.addHandler(method, matcher, handler);
     });
     xhrMock.onSend = (xhr) => { this._handleRequest(xhr); };
+    xhrMock.onCacheHit = (xhr) => { this._logCacheHit(xhr); };
 
     // Setup a mock request factory for users
     this.xhrMock = xhrMock; // For backwards compatibility with < 4.1.0
@@ -41,6 +120,8 @@ export default class MockXhrServer {
 
   /**
    * Remove the server as the global XMLHttpRequest mock. Reverts the actions of install(global).
+   * Then, in strict mode, throws an error that reports the requests that didn't match any route
+   * since they were last reported (see verify()).
    */
   remove() {
     if (!this._savedContext) {
@@ -54,6 +135,11 @@ export default class MockXhrServer {
       delete this._savedContext.XMLHttpRequest;
     }
     delete this._savedContext;
+
+    const report = this._takeUnhandledRequestsReport();
+    if (report !== null) {
+      throw new Error(report);
+    }
   }
 
   /**
@@ -70,84 +156,176 @@ export default class MockXhrServer {
     this.MockXhr.timeoutEnabled = true;
   }
 
+  /**
+   * @returns {object} clock used by the server and its XMLHttpRequest mock (see the clock option)
+   */
+  get clock() {
+    return this.MockXhr.clock || realClock;
+  }
+
+  /**
+   * @returns {?CookieJar} cookie jar of the server's XMLHttpRequest mock (see the cookies option)
+   */
+  get cookies() {
+    return this.MockXhr.cookieJar || null;
+  }
+
+  /**
+   * @returns {?HttpCache} HTTP cache of the server's XMLHttpRequest mock (see the cache option)
+   */
+  get cache() {
+    return this.MockXhr.httpCache || null;
+  }
+
   /**
    * Add a GET request handler.
    *
-   * @param {string|RegExp|Function} matcher url matcher
+   * @param {string|RegExp|Function|object} matcher url matcher or matcher object
    * @param {object|Function|object[]|Function[]} handler request handler
+   * @param {?object} options route options (see addHandler())
    * @returns {MockXhrServer} this
    */
-  get(matcher, handler) {
-    return this.addHandler('GET', matcher, handler);
+  get(matcher, handler, options) {
+    return this.addHandler('GET', matcher, handler, options);
   }
 
   /**
    * Add a POST request handler.
    *
-   * @param {string|RegExp|Function} matcher url matcher
+   * @param {string|RegExp|Function|object} matcher url matcher or matcher object
    * @param {object|Function|object[]|Function[]} handler request handler
+   * @param {?object} options route options (see addHandler())
    * @returns {MockXhrServer} this
    */
-  post(matcher, handler) {
-    return this.addHandler('POST', matcher, handler);
+  post(matcher, handler, options) {
+    return this.addHandler('POST', matcher, handler, options);
   }
 
   /**
    * Add a PUT request handler.
    *
-   * @param {string|RegExp|Function} matcher url matcher
+   * @param {string|RegExp|Function|object} matcher url matcher or matcher object
    * @param {object|Function|object[]|Function[]} handler request handler
+   * @param {?object} options route options (see addHandler())
    * @returns {MockXhrServer} this
    */
-  put(matcher, handler) {
-    return this.addHandler('PUT', matcher, handler);
+  put(matcher, handler, options) {
+    return this.addHandler('PUT', matcher, handler, options);
   }
 
   /**
    * Add a DELETE request handler.
    *
-   * @param {string|RegExp|Function} matcher url matcher
+   * @param {string|RegExp|Function|object} matcher url matcher or matcher object
    * @param {object|Function|object[]|Function[]} handler request handler
+   * @param {?object} options route options (see addHandler())
    * @returns {MockXhrServer} this
    */
-  delete(matcher, handler) {
-    return this.addHandler('DELETE', matcher, handler);
+  delete(matcher, handler, options) {
+    return this.addHandler('DELETE', matcher, handler, options);
   }
 
   /**
    * Add a request handler.
    *
    * @param {string} method HTTP method
-   * @param {string|RegExp|Function} matcher url matcher
+   * @param {string|RegExp|Function|object} matcher url matcher or matcher object
    * @param {object|Function|object[]|Function[]} handler request handler
+   * @param {?object} options route options:
+   * - delay: simulated latency of the responses in milliseconds. Overrides the server's delay
+   *   option. Can be a number, a [min, max] range for random delays, a Function that returns the
+   *   delay for a request or an object { headers, body } with separate delays before the response
+   *   headers and between the response headers and body.
+   * - chunked: deliver string response bodies in chunks with MockXhr.downloadChunk(). Object with
+   *   the properties size (chunk size, default 1024) and delay (delay between chunks in the same
+   *   formats as the delay option, default 0). Overrides the server's chunked option.
+   * - upload: simulate the upload of request bodies with MockXhr.uploadProgress() before the
+   *   response. Object with the properties steps (number of upload progress events, default 1) or
+   *   rate (bytes per upload progress event) and delay (delay between upload progress events in the
+   *   same formats as the delay option, default 0). Overrides the server's upload option.
+   * - name: route name for route() (default: method and matcher, e.g. 'GET /users/:id')
+   * - manual: queue the requests until they are answered. Overrides the server's manual option.
    * @returns {MockXhrServer} this
    */
-  addHandler(method, matcher, handler) {
+  addHandler(method, matcher, handler, options = {}) {
     // Match the processing done in MockXHR for the method name
     method = normalizeHTTPMethodName(method);
 
     if (!this._routes[method]) {
       this._routes[method] = [];
     }
-    this._routes[method].push({
-      matcher,
-      handler,
-      count: 0,
-    });
+    this._routes[method].push(new Route(method, matcher, handler, options));
     return this;
   }
 
+  /**
+   * Add GET and HEAD request handlers that serve a static resource with support for range
+   * requests. GET requests with a Range header (and a matching If-Range header, if any) get a 206
+   * response with the requested range or a multipart/byteranges body for multiple ranges, or a 416
+   * response when no range is satisfiable. Partial bodies are Uint8Arrays. The responses have the
+   * Accept-Ranges and Content-Length headers.
+   *
+   * @param {string|RegExp|Function|object} matcher url matcher or matcher object
+   * @param {object} resource { headers, body } static resource. The body is a string or a
+   * BufferSource. Other bodies are always sent whole.
+   * @param {?object} options route options (see addHandler()). A name option names the routes
+   * '<name> GET' and '<name> HEAD'.
+   * @returns {MockXhrServer} this
+   */
+  staticRoute(matcher, resource, options) {
+    const handler = (xhr) => createRangeResponse(xhr.method, xhr.requestHeaders, resource);
+    this.addHandler('GET', matcher, handler, suffixRouteName(options, 'GET'));
+    return this.addHandler('HEAD', matcher, handler, suffixRouteName(options, 'HEAD'));
+  }
+
+  /**
+   * Add the routes of a REST resource backed by an in-memory store. Request and response bodies
+   * are JSON. The routes are:
+   * - GET url: list the items that match the filter query parameters (e.g. ?done=true), one page
+   *   at a time with the _page and _limit query parameters. The X-Total-Count response header is
+   *   the number of matching items.
+   * - GET url/:id: get an item (404 if it doesn't exist).
+   * - POST url: create an item (201 with a Location header or 409 if its id exists).
+   * - PUT url/:id and PATCH url/:id: replace or update an item (404 if it doesn't exist or 409 if
+   *   the request body has another id).
+   * - DELETE url/:id: delete an item (204 or 404 if it doesn't exist).
+   *
+   * @param {string} url url of the resource collection (e.g. '/api/todos')
+   * @param {?object} options resource options:
+   * - seed: initial items (default none)
+   * - idField: name of the id field of the items (default 'id')
+   * @param {?object} routeOptions route options of all the routes (see addHandler()). A name
+   * option names the routes '<name> list', '<name> get', '<name> create', '<name> replace',
+   * '<name> patch' and '<name> delete'.
+   * @returns {ResourceStore} store of the items, e.g. for assertions
+   */
+  resource(url, options = {}, routeOptions = {}) {
+    const store = new ResourceStore(options.seed, options.idField);
+    const collectionUrl = url.replace(/\/+$/, '');
+    const itemUrl = `${collectionUrl}/:id`;
+    const handlers = createResourceHandlers(store, collectionUrl);
+    [
+      ['GET', collectionUrl, 'list'],
+      ['GET', itemUrl, 'get'],
+      ['POST', collectionUrl, 'create'],
+      ['PUT', itemUrl, 'replace'],
+      ['PATCH', itemUrl, 'patch'],
+      ['DELETE', itemUrl, 'delete'],
+    ].forEach(([method, routeUrl, action]) => {
+      this.addHandler(method, routeUrl, handlers[action], suffixRouteName(routeOptions, action));
+    });
+    return store;
+  }
+
   /**
    * Set the default request handler for requests that don't match any route.
    *
    * @param {object|Function|object[]|Function[]} handler request handler
+   * @param {?object} options route options (see addHandler())
    * @returns {MockXhrServer} this
    */
-  setDefaultHandler(handler) {
-    this._defaultRoute = {
-      handler,
-      count: 0,
-    };
+  setDefaultHandler(handler, options = {}) {
+    this._defaultRoute = new Route(null, undefined, handler, options);
     return this;
   }
 
@@ -161,54 +339,798 @@ export default class MockXhrServer {
   }
 
   /**
-   * @returns {object[]} list of requests received by the server. Entries: { method, url }
+   * Add a temporary request handler that overrides the other routes until resetOverrides() is
+   * called. The last override added takes precedence.
+   *
+   * @param {string} method HTTP method
+   * @param {string|RegExp|Function|object} matcher url matcher or matcher object
+   * @param {object|Function|object[]|Function[]} handler request handler
+   * @param {?object} options route options (see addHandler())
+   * @returns {MockXhrServer} this
+   */
+  use(method, matcher, handler, options = {}) {
+    method = normalizeHTTPMethodName(method);
+    if (!this._overrides[method]) {
+      this._overrides[method] = [];
+    }
+    this._overrides[method].unshift(new Route(method, matcher, handler, options));
+    return this;
+  }
+
+  /**
+   * Remove all the request handlers added with use().
+   *
+   * @returns {MockXhrServer} this
+   */
+  resetOverrides() {
+    this._overrides = {};
+    return this;
+  }
+
+  /**
+   * Remove a route.
+   *
+   * @param {Route|string} route route or route name (see route())
+   * @returns {MockXhrServer} this
+   */
+  removeRoute(route) {
+    if (typeof route === 'string') {
+      route = this.route(route);
+    }
+    if (route === this._defaultRoute) {
+      delete this._defaultRoute;
+    }
+    [this._routes, this._overrides].forEach((routes) => {
+      if (routes[route.method]) {
+        routes[route.method] = routes[route.method].filter((r) => r !== route);
+      }
+    });
+    return this;
+  }
+
+  /**
+   * Remove all the routes, including the default route and overrides, and clear the request log,
+   * the pending requests, the cookies and the HTTP cache. The Promises of the pending
+   * waitForRequest() calls are dropped: they never settle. The server stays installed and keeps
+   * its options.
+   *
+   * @returns {MockXhrServer} this
+   */
+  reset() {
+    this._routes = {};
+    this._overrides = {};
+    delete this._defaultRoute;
+    this._requests = [];
+
+    // Cleared in place since getRequestLog() returns the live array
+    this._requestLog.length = 0;
+    this._unhandledRequests = [];
+    this._pending = [];
+
+    // Waiters of a previous test must not resolve with the requests of the next one. They are
+    // dropped rather than rejected since their Promise may not be awaited anymore.
+    this._requestWaiters.forEach((waiter) => {
+      if (waiter.timeoutTask !== undefined) {
+        this.clock.clearTimeout(waiter.timeoutTask);
+      }
+    });
+    this._requestWaiters = [];
+    if (this._ownCookieJar !== null) {
+      this._ownCookieJar.clear();
+    }
+    if (this._ownHttpCache !== null) {
+      this._ownHttpCache.clear();
+    }
+    return this;
+  }
+
+  /**
+   * Get the requests queued in manual mode that are waiting for a response. Aborted and timed out
+   * requests are removed from the queue.
+   *
+   * @returns {object[]} pending requests in the order received. Entries: { xhr, method, url,
+   * route, params, query, respond(response) }. respond() answers the request with its route's
+   * request handler or with the given response object or Promise, if any.
+   */
+  pending() {
+    this._pending = this._pending.filter((pendingRequest) => pendingRequest.isPending());
+    return this._pending.map((pendingRequest) => pendingRequest.request);
+  }
+
+  /**
+   * Answer the oldest pending request. See pending().
+   *
+   * @param {?object|Promise} response response object or Promise (default: use the request
+   * handler of the request's route)
+   * @returns {MockXhrServer} this
+   */
+  respondNext(response) {
+    const [request] = this.pending();
+    if (!request) {
+      throw new Error('No pending requests.');
+    }
+    request.respond(response);
+    return this;
+  }
+
+  /**
+   * Answer all the pending requests in order with the request handlers of their routes. See
+   * pending().
+   *
+   * @returns {MockXhrServer} this
+   */
+  flush() {
+    const pendingRequests = this._pending;
+    pendingRequests.forEach((pendingRequest) => {
+      // Responses can abort other pending requests
+      if (pendingRequest.isPending()) {
+        pendingRequest.request.respond();
+      }
+    });
+    return this;
+  }
+
+  /**
+   * Get a route to inspect the requests it handled and set its expected number of calls.
+   *
+   * @param {string} name route name (see the name route option of addHandler()) or 'default' for
+   * the default route
+   * @returns {Route} route
+   */
+  route(name) {
+    const route = this._getAllRoutes().find((route) => route.name === name);
+    if (!route) {
+      throw new Error(`No route named "${name}".`);
+    }
+    return route;
+  }
+
+  /**
+   * Throw an error that reports the requests that didn't match any route in strict mode (see the
+   * strict option) and all the routes whose expected number of calls (see Route.times()) is not
+   * met or exceeded. Unhandled requests are only reported once by verify() or remove().
+   */
+  verify() {
+    const reports = [];
+    const unhandledReport = this._takeUnhandledRequestsReport();
+    if (unhandledReport !== null) {
+      reports.push(unhandledReport);
+    }
+    const messages = [];
+    this._getAllRoutes().forEach((route) => {
+      try {
+        route.verify();
+      } catch (e) {
+        messages.push(e.message);
+      }
+    });
+    if (messages.length > 0) {
+      reports.push(`Unmet route expectations:\n${messages.map((m) => `  ${m}`).join('\n')}`);
+    }
+    if (reports.length > 0) {
+      throw new Error(reports.join('\n\n'));
+    }
+  }
+
+  /**
+   * @returns {object[]} list of requests received by the server. Entries:
+   * { method, url, headers, body }. The list is live: it grows as the server receives requests.
+   * See getRequests() for more details about the requests.
    */
   getRequestLog() {
-    return this._requests;
+    return this._requestLog;
+  }
+
+  /**
+   * Get the requests received by the server that match a filter. Each redirect followed by a
+   * request is a separate request.
+   *
+   * @param {?object|string|RegExp|Function} filter request filter (optional). Either an object
+   * with the optional properties method (HTTP method), url (url matcher) and route (Route or route
+   * name), a url matcher string or RegExp, or a predicate Function called with each request.
+   * @returns {object[]} requests in the order received. Entries: { method, url, headers, body,
+   * xhr, route, timestamp, endTimestamp, status, readyState, aborted, timedOut }. The response
+   * properties (endTimestamp, status, readyState, aborted and timedOut) are updated until the
+   * request completes or is sent again.
+   */
+  getRequests(filter) {
+    return this._requests.filter(compileRequestFilter(filter, this.MockXhr.baseUrl));
+  }
+
+  /**
+   * @param {?object|string|RegExp|Function} filter request filter (see getRequests())
+   * @returns {object|undefined} first request that matches the filter
+   */
+  firstRequest(filter) {
+    return this.getRequests(filter)[0];
+  }
+
+  /**
+   * @param {?object|string|RegExp|Function} filter request filter (see getRequests())
+   * @returns {object|undefined} last request that matches the filter
+   */
+  lastRequest(filter) {
+    const requests = this.getRequests(filter);
+    return requests[requests.length - 1];
+  }
+
+  /**
+   * Wait for the server to receive a request that matches a filter. Only requests received after
+   * the call are considered.
+   *
+   * @param {?object|string|RegExp|Function} filter request filter (see getRequests())
+   * @param {?object} options options:
+   * - timeout: time in milliseconds after which the returned Promise is rejected (default: none)
+   * @returns {Promise<MockXhr>} Promise that resolves with the MockXhr of the request
+   */
+  waitForRequest(filter, options = {}) {
+    return new Promise((resolve, reject) => {
+      const waiter = { matches: compileRequestFilter(filter, this.MockXhr.baseUrl), resolve };
+      this._requestWaiters.push(waiter);
+      if (options.timeout > 0) {
+        waiter.timeoutTask = this.clock.setTimeout(() => {
+          this._requestWaiters = this._requestWaiters.filter((w) => w !== waiter);
+          reject(new Error(`No request received matching the filter within ${options.timeout} ms.`));
+        }, options.timeout);
+      }
+    });
   }
 
   _handleRequest(xhr) {
     // Record the request for easier debugging
-    this._requests.push({
-      method: xhr.method,
+    const entry = this._logRequest(xhr);
+
+    const request = {
       url: xhr.url,
-      headers: xhr.requestHeaders.getHash(),
+      baseUrl: xhr.constructor.baseUrl,
+      query: parseUrl(xhr.url).query,
+      headers: xhr.requestHeaders,
       body: xhr.body,
-    });
+      withCredentials: xhr.withCredentials,
+    };
+    const match = this._findFirstMatchingRoute(xhr, request)
+      || (this._defaultRoute && { route: this._defaultRoute, params: {} });
+    entry.route = match ? match.route : null;
+    this._notifyRequestWaiters(entry);
+    if (match) {
+      const { route } = match;
 
-    const route = this._findFirstMatchingRoute(xhr) || this._defaultRoute;
-    if (route) {
       // Routes can have arrays of handlers. Each one is used once and the last one is used if out
       // of elements.
       let { handler } = route;
       if (Array.isArray(handler)) {
         handler = handler[Math.min(handler.length - 1, route.count)];
       }
-      route.count += 1;
+      route.recordCall({
+        method: xhr.method,
+        url: xhr.url,
+        headers: xhr.requestHeaders.getHash(),
+        body: xhr.body,
+        params: match.params,
+        query: request.query,
+      });
 
-      if (typeof handler === 'function') {
-        handler(xhr);
-      } else {
-        xhr.respond(handler.status, handler.headers, handler.body, handler.statusText);
+      // Route options override the server options
+      const { options } = route;
+      const delay = normalizeDelay(options.delay);
+      const headersDelay = resolveDelay(delay.headers, this._delay.headers, xhr);
+      const timing = {
+        bodyDelay: resolveDelay(delay.body, this._delay.body, xhr),
+        chunked: options.chunked || this._chunked,
+      };
+      const respond = (response) => {
+        if (response !== undefined) {
+          this._handleResult(xhr, entry, response, timing);
+        } else if (typeof handler === 'function') {
+          let result;
+          try {
+            result = handler(xhr, {
+              params: match.params,
+              query: request.query,
+              url: getUrlComponents(xhr.url),
+              serializedBody: xhr.serializedBody,
+              cookies: parseCookieHeader(xhr.requestHeaders.getHeader('Cookie')),
+            });
+          } catch (e) {
+            // Like a rejected Promise of an async handler
+            this._respondWithHandlerError(xhr, entry, timing);
+            return;
+          }
+          this._handleResult(xhr, entry, result, timing);
+        } else {
+          this._respond(xhr, handler, timing);
+        }
+      };
+      this._simulateUpload(xhr, options.upload || this._upload, () => {
+        // Synchronous requests can't wait for a response
+        const manual = options.manual !== undefined ? options.manual : this._manual;
+        if (manual && !isSynchronousRequest(xhr)) {
+          this._queuePendingRequest(xhr, entry, match, request.query, respond);
+        } else {
+          this._after(headersDelay, xhr, () => respond());
+        }
+      });
+    } else {
+      this._handleUnhandledRequest(xhr);
+    }
+  }
+
+  /**
+   * Queue a request in manual mode.
+   *
+   * @param {MockXhr} xhr request
+   * @param {object} entry request log entry
+   * @param {object} match { route, params } route that matched the request
+   * @param {object} query parsed query
+   * @param {Function} respond function that answers the request with an optional response
+   */
+  _queuePendingRequest(xhr, entry, match, query, respond) {
+    // A request is still pending if it wasn't answered, aborted, timed out or sent again
+    const isPending = () => this._isWaitingForResponse(xhr, entry);
+    const pendingRequest = {
+      isPending,
+      request: {
+        xhr,
+        method: entry.method,
+        url: entry.url,
+        route: match.route,
+        params: match.params,
+        query,
+        respond: (response) => {
+          if (!isPending() || !this._pending.includes(pendingRequest)) {
+            throw new Error(`The request ${entry.method} ${entry.url} is not pending.`);
+          }
+          this._pending = this._pending.filter((p) => p !== pendingRequest);
+          respond(response);
+        },
+      },
+    };
+    this._pending.push(pendingRequest);
+  }
+
+  /**
+   * Add a request to the request log and keep its response properties up to date.
+   *
+   * @param {MockXhr} xhr request
+   * @returns {object} request log entry
+   */
+  _logRequest(xhr) {
+    const entry = {
+      method: xhr.method,
+      url: xhr.url,
+      headers: xhr.requestHeaders.getHash(),
+      body: xhr.body,
+      xhr,
+      route: null,
+      timestamp: this.clock.now(),
+      endTimestamp: null,
+      status: 0,
+      readyState: xhr.readyState,
+      aborted: false,
+      timedOut: false,
+      cacheHit: false,
+    };
+    this._requests.push(entry);
+    this._requestLog.push({
+      method: entry.method,
+      url: entry.url,
+      headers: entry.headers,
+      body: entry.body,
+    });
+
+    // Each MockXhr is listened to once and updates its latest log entry
+    if (!this._currentRequests.has(xhr)) {
+      const update = (event) => {
+        const current = this._currentRequests.get(xhr);
+        current.status = xhr.status;
+        current.readyState = xhr.readyState;
+        if (event.type === 'abort') {
+          current.aborted = true;
+        } else if (event.type === 'timeout') {
+          current.timedOut = true;
+        } else if (event.type === 'loadend') {
+          current.endTimestamp = this.clock.now();
+        }
+      };
+      ['readystatechange', 'abort', 'timeout', 'loadend'].forEach((type) => {
+        xhr.addEventListener(type, update);
+      });
+    }
+    this._currentRequests.set(xhr, entry);
+    return entry;
+  }
+
+  /**
+   * Log a request served by the HTTP cache. It doesn't reach the routes and doesn't resolve the
+   * Promises returned by waitForRequest().
+   *
+   * @param {MockXhr} xhr request
+   */
+  _logCacheHit(xhr) {
+    const entry = this._logRequest(xhr);
+    entry.cacheHit = true;
+  }
+
+  /**
+   * Resolve the Promises returned by waitForRequest() that match a request.
+   *
+   * @param {object} entry request log entry
+   */
+  _notifyRequestWaiters(entry) {
+    this._requestWaiters = this._requestWaiters.filter((waiter) => {
+      if (!waiter.matches(entry)) {
+        return true;
+      }
+      if (waiter.timeoutTask !== undefined) {
+        this.clock.clearTimeout(waiter.timeoutTask);
       }
+      waiter.resolve(entry.xhr);
+      return false;
+    });
+  }
+
+  /**
+   * React to a request that doesn't match any route according to the strict and
+   * onUnhandledRequest options.
+   *
+   * @param {MockXhr} xhr request
+   */
+  _handleUnhandledRequest(xhr) {
+    const message = this._describeUnhandledRequest(xhr);
+    const onUnhandledRequest = this._onUnhandledRequest;
+    if (this._strict) {
+      // Reported by remove() and verify() since errors thrown from the asynchronous onSend hook
+      // are uncaught
+      this._unhandledRequests.push(message);
     }
+    if (this._strict || onUnhandledRequest === 'error') {
+      xhr.setNetworkError();
+    }
+
+    if (typeof onUnhandledRequest === 'function') {
+      onUnhandledRequest(xhr, message);
+    } else if (onUnhandledRequest === 'error') {
+      // eslint-disable-next-line no-console
+      console.error(message);
+    } else if (onUnhandledRequest === 'warn') {
+      // eslint-disable-next-line no-console
+      console.warn(message);
+    }
+  }
+
+  /**
+   * Forget the unhandled requests recorded in strict mode and describe them.
+   *
+   * @returns {?string} description of the unhandled requests or null if there are none
+   */
+  _takeUnhandledRequestsReport() {
+    const unhandled = this._unhandledRequests;
+    if (unhandled.length === 0) {
+      return null;
+    }
+    this._unhandledRequests = [];
+    return `${unhandled.length} unhandled request(s):\n\n${unhandled.join('\n\n')}`;
   }
 
-  _findFirstMatchingRoute(xhr) {
+  /**
+   * @param {MockXhr} xhr request
+   * @returns {string} description of an unhandled request with the closest matching routes
+   */
+  _describeUnhandledRequest(xhr) {
     const method = normalizeHTTPMethodName(xhr.method);
-    if (!this._routes[method]) {
-      return undefined;
+    let message = `No route matches the request ${method} ${xhr.url}`;
+    if (xhr.body !== null && xhr.body !== undefined) {
+      message += `\nRequest body: ${describeBody(xhr.body)}`;
+    }
+
+    // Rank the routes by the edit distance between their description and the request
+    const requestDescription = `${method} ${parseUrl(xhr.url).path}`;
+    const routes = this._getAllRoutes()
+      .filter((route) => route !== this._defaultRoute)
+      .map((route) => {
+        const description = `${route.method} ${describeMatcher(route.matcher)}`;
+        return { description, distance: editDistance(requestDescription, description) };
+      });
+    if (routes.length === 0) {
+      return `${message}\nNo routes are registered.`;
+    }
+    routes.sort((a, b) => a.distance - b.distance);
+    const closestRoutes = routes.slice(0, maxClosestRoutes).map((route) => `  ${route.description}`);
+    return `${message}\nClosest routes:\n${closestRoutes.join('\n')}`;
+  }
+
+  /**
+   * Apply the value returned by a request handler function. It can be:
+   * - undefined if the handler used the mock response methods itself;
+   * - a response object;
+   * - a Promise that resolves to either of the above. A rejected Promise results in the
+   *   handlerErrorResponse.
+   *
+   * @param {MockXhr} xhr request
+   * @param {object} entry request log entry of the send() that the result answers
+   * @param {*} result request handler return value
+   * @param {object} timing response timing options (see _respond())
+   */
+  _handleResult(xhr, entry, result, timing) {
+    if (result && typeof result.then === 'function') {
+      result.then((response) => {
+        this._handleResult(xhr, entry, response, timing);
+      }, () => {
+        this._respondWithHandlerError(xhr, entry, timing);
+      });
+    } else if (result instanceof Object && this._isWaitingForResponse(xhr, entry)) {
+      this._respond(xhr, result, timing);
+    }
+  }
+
+  /**
+   * Answer a request whose handler threw an error or returned a rejected Promise with the
+   * handlerErrorResponse.
+   *
+   * @param {MockXhr} xhr request
+   * @param {object} entry request log entry of the send() that the handler answers
+   * @param {object} timing response timing options (see _respond())
+   */
+  _respondWithHandlerError(xhr, entry, timing) {
+    if (!this._isWaitingForResponse(xhr, entry)) {
+      return;
+    }
+    if (this._handlerErrorResponse === 'networkError') {
+      xhr.setNetworkError();
+    } else {
+      this._respond(xhr, this._handlerErrorResponse, timing);
+    }
+  }
+
+  /**
+   * Send a response object with the mock response methods.
+   *
+   * @param {MockXhr} xhr request
+   * @param {object} response response object
+   * @param {object} timing response timing options:
+   * - bodyDelay: delay between the response headers and body
+   * - chunked: chunked option for string response bodies
+   */
+  _respond(xhr, response, timing = {}) {
+    const {
+      status,
+      headers,
+      body,
+      statusText,
+    } = response;
+    const chunked = typeof body === 'string' && timing.chunked;
+    if (!timing.bodyDelay && !chunked) {
+      xhr.respond(status, headers, body, statusText);
+      return;
+    }
+
+    xhr.setResponseHeaders(status, headers, statusText);
+    if (xhr.readyState !== MockXhr.HEADERS_RECEIVED) {
+      // The response was a followed redirect
+      return;
+    }
+    this._after(timing.bodyDelay, xhr, () => {
+      if (chunked) {
+        this._sendChunks(xhr, body, chunked);
+      } else {
+        xhr.setResponseBody(body);
+      }
+    });
+  }
+
+  /**
+   * Simulate the upload of the request body with upload progress events.
+   *
+   * @param {MockXhr} xhr request
+   * @param {?object} upload upload option
+   * @param {Function} callback called when the upload is complete
+   */
+  _simulateUpload(xhr, upload, callback) {
+    const length = getBodyByteLength(xhr.body);
+    if (!upload || length === 0) {
+      callback();
+      return;
     }
 
-    const { url } = xhr;
-    return this._routes[method].find((route) => {
-      const { matcher } = route;
-      if (typeof matcher === 'function') {
-        return matcher(url);
-      } else if (matcher instanceof RegExp) {
-        return matcher.test(url);
+    // The request end-of-body steps fire the last upload progress event with the response headers
+    const progress = [];
+    if (upload.rate > 0) {
+      for (let transmitted = upload.rate; transmitted < length; transmitted += upload.rate) {
+        progress.push(transmitted);
       }
-      return matcher === url;
+    } else {
+      const steps = upload.steps > 0 ? upload.steps : 1;
+      for (let step = 1; step < steps; step++) {
+        progress.push(Math.round((length * step) / steps));
+      }
+    }
+
+    const uploadStep = (step) => {
+      this._after(resolveDelay(upload.delay, 0, xhr), xhr, () => {
+        if (step < progress.length) {
+          xhr.uploadProgress(progress[step]);
+          uploadStep(step + 1);
+        } else {
+          callback();
+        }
+      });
+    };
+    uploadStep(0);
+  }
+
+  _sendChunks(xhr, body, chunked) {
+    const size = chunked.size > 0 ? chunked.size : 1024;
+    const sendChunk = (offset) => {
+      if (offset >= body.length) {
+        xhr.setResponseBody(body);
+        return;
+      }
+      xhr.downloadChunk(body.slice(offset, offset + size));
+      this._after(resolveDelay(chunked.delay, 0, xhr), xhr, () => sendChunk(offset + size));
+    };
+    sendChunk(0);
+  }
+
+  /**
+   * Call a function after a delay unless the request is no longer waiting for the same response at
+   * that point (e.g. it was aborted, timed out or sent again). A zero delay calls the function
+   * immediately, as do synchronous requests that can't wait.
+   *
+   * @param {number} delay delay in milliseconds
+   * @param {MockXhr} xhr request
+   * @param {Function} callback function to call
+   */
+  _after(delay, xhr, callback) {
+    if (delay > 0 && !isSynchronousRequest(xhr)) {
+      const { readyState } = xhr;
+      const entry = this._currentRequests.get(xhr);
+      this.clock.setTimeout(() => {
+        if (xhr.readyState === readyState && this._currentRequests.get(xhr) === entry) {
+          callback();
+        }
+      }, delay);
+    } else {
+      callback();
+    }
+  }
+
+  /**
+   * @param {MockXhr} xhr request
+   * @param {object} entry request log entry of a send() of the request
+   * @returns {boolean} whether that send() is still waiting for a response
+   */
+  _isWaitingForResponse(xhr, entry) {
+    // Requests that were aborted, timed out or otherwise completed are not in the OPENED state.
+    // Requests that were sent again have a new log entry.
+    return xhr.readyState === MockXhr.OPENED && this._currentRequests.get(xhr) === entry;
+  }
+
+  /**
+   * @returns {Route[]} all the routes including the overrides and the default route, if any
+   */
+  _getAllRoutes() {
+    const routes = [];
+    [this._overrides, this._routes].forEach((routesByMethod) => {
+      Object.keys(routesByMethod).forEach((method) => {
+        routes.push(...routesByMethod[method]);
+      });
+    });
+    if (this._defaultRoute) {
+      routes.push(this._defaultRoute);
+    }
+    return routes;
+  }
+
+  _findFirstMatchingRoute(xhr, request) {
+    const method = normalizeHTTPMethodName(xhr.method);
+
+    // Overrides take precedence
+    const routes = (this._overrides[method] || []).concat(this._routes[method] || []);
+    let params = null;
+    const route = routes.find((route) => {
+      params = route.matchRequest(request);
+      return params !== null;
     });
+    return route ? { route, params } : undefined;
+  }
+}
+
+/**
+ * @param {?object|string|RegExp|Function} filter request filter (see getRequests())
+ * @param {?string} baseUrl base url of the requests (see MockXhr.baseUrl)
+ * @returns {Function} predicate for request log entries
+ */
+function compileRequestFilter(filter = {}, baseUrl = null) {
+  if (typeof filter === 'function') {
+    return filter;
+  } else if (typeof filter === 'string' || filter instanceof RegExp) {
+    filter = { url: filter };
+  }
+  const method = filter.method !== undefined ? normalizeHTTPMethodName(filter.method) : null;
+  const matchUrl = filter.url !== undefined ? compileUrlMatcher(filter.url) : () => ({});
+  const { route } = filter;
+  return (entry) => (method === null || normalizeHTTPMethodName(entry.method) === method)
+    && matchUrl(entry.url, baseUrl) !== null
+    && (route === undefined
+      || entry.route === route
+      || (entry.route !== null && entry.route.name === route));
+}
+
+/**
+ * @param {*} body request body
+ * @returns {string} short description of the request body
+ */
+function describeBody(body) {
+  if (typeof body !== 'string') {
+    return Object.prototype.toString.call(body);
+  }
+  return body.length > maxDescribedBodyLength
+    ? `${body.slice(0, maxDescribedBodyLength)}...`
+    : body;
+}
+
+/**
+ * @param {string} a string
+ * @param {string} b string
+ * @returns {number} Levenshtein distance between the strings
+ */
+function editDistance(a, b) {
+  let previousRow = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previousRow[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      row.push(Math.min(previousRow[j] + 1, row[j - 1] + 1, substitution));
+    }
+    previousRow = row;
+  }
+  return previousRow[b.length];
+}
+
+/**
+ * @param {*} delay delay option
+ * @returns {object} { headers, body } delays
+ */
+function normalizeDelay(delay) {
+  if (delay instanceof Object && !Array.isArray(delay) && typeof delay !== 'function') {
+    return { headers: delay.headers, body: delay.body };
+  }
+  return { headers: delay, body: undefined };
+}
+
+/**
+ * @param {*} delay delay value
+ * @param {*} defaultDelay delay value used if delay is undefined
+ * @param {MockXhr} xhr request
+ * @returns {number} delay in milliseconds
+ */
+function resolveDelay(delay, defaultDelay, xhr) {
+  if (delay === undefined) {
+    delay = defaultDelay;
+  }
+  if (typeof delay === 'function') {
+    delay = delay(xhr);
+  }
+  if (Array.isArray(delay)) {
+    const [min, max] = delay;
+    delay = min + Math.random() * (max - min);
+  }
+  return delay || 0;
+}
+
+/**
+ * @param {?object} options route options
+ * @param {string} suffix suffix of the route name
+ * @returns {?object} route options with the suffixed name, if there is a name option
+ */
+function suffixRouteName(options, suffix) {
+  if (!options || options.name === undefined) {
+    return options;
   }
+  const suffixedOptions = {};
+  Object.keys(options).forEach((key) => {
+    suffixedOptions[key] = options[key];
+  });
+  suffixedOptions.name = `${options.name} ${suffix}`;
+  return suffixedOptions;
 }
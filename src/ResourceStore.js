@@ -0,0 +1,277 @@
+// Query parameters of list requests that aren't item filters
+const pageParam = '_page';
+const limitParam = '_limit';
+
+/**
+ * @param {*} value JSON value
+ * @returns {*} deep copy of the value
+ */
+function copyJson(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * @param {*} value value
+ * @returns {boolean} whether the value is a plain object (e.g. parsed from JSON)
+ */
+function isPlainObject(value) {
+  return value instanceof Object && !Array.isArray(value);
+}
+
+/**
+ * In-memory store of the items of a REST resource (see MockXhrServer.resource()). Items are plain
+ * objects identified by their id field. The store keeps copies of the items and returns copies.
+ * Ids are compared as strings, like the ids of request urls.
+ */
+export default class ResourceStore {
+  /**
+   * Constructor
+   *
+   * @param {?object[]} seed initial items
+   * @param {?string} idField name of the id field of the items (default 'id')
+   */
+  constructor(seed = null, idField = null) {
+    this.idField = idField !== null ? idField : 'id';
+    this._seed = copyJson(seed !== null ? seed : []);
+    this.reset();
+  }
+
+  /**
+   * @returns {object[]} all the items, in creation order
+   */
+  get items() {
+    return copyJson(this._items);
+  }
+
+  /**
+   * @param {string|number} id item id
+   * @returns {?object} item or null if there is none
+   */
+  get(id) {
+    const index = this._indexOf(id);
+    return index >= 0 ? copyJson(this._items[index]) : null;
+  }
+
+  /**
+   * Add an item. Items without id get the next numeric id: one more than the largest numeric id.
+   *
+   * @param {object} item new item
+   * @returns {?object} created item or null if an item with the same id exists
+   */
+  create(item) {
+    const created = copyJson(item);
+    const id = created[this.idField];
+    if (id === undefined || id === null) {
+      created[this.idField] = this._nextId();
+    } else if (this._indexOf(id) >= 0) {
+      return null;
+    }
+    this._items.push(created);
+    return copyJson(created);
+  }
+
+  /**
+   * Replace an item. The new item keeps the id.
+   *
+   * @param {string|number} id item id
+   * @param {object} item new item
+   * @returns {?object} replaced item or null if there is none
+   */
+  replace(id, item) {
+    const index = this._indexOf(id);
+    if (index < 0) {
+      return null;
+    }
+    const replaced = copyJson(item);
+    replaced[this.idField] = this._items[index][this.idField];
+    this._items[index] = replaced;
+    return copyJson(replaced);
+  }
+
+  /**
+   * Update the fields of an item. The item keeps its id.
+   *
+   * @param {string|number} id item id
+   * @param {object} changes changed fields
+   * @returns {?object} updated item or null if there is none
+   */
+  patch(id, changes) {
+    const index = this._indexOf(id);
+    if (index < 0) {
+      return null;
+    }
+    const patched = this._items[index];
+    const copy = copyJson(changes);
+    Object.keys(copy).forEach((field) => {
+      if (field !== this.idField) {
+        patched[field] = copy[field];
+      }
+    });
+    return copyJson(patched);
+  }
+
+  /**
+   * Remove an item.
+   *
+   * @param {string|number} id item id
+   * @returns {boolean} whether the item existed
+   */
+  delete(id) {
+    const index = this._indexOf(id);
+    if (index >= 0) {
+      this._items.splice(index, 1);
+    }
+    return index >= 0;
+  }
+
+  /**
+   * Restore the initial items.
+   */
+  reset() {
+    this._items = copyJson(this._seed);
+  }
+
+  _indexOf(id) {
+    return this._items.findIndex((item) => String(item[this.idField]) === String(id));
+  }
+
+  _nextId() {
+    return this._items.reduce((max, item) => {
+      const id = Number(item[this.idField]);
+      return Number.isInteger(id) && id > max ? id : max;
+    }, 0) + 1;
+  }
+}
+
+/**
+ * @param {number} status response status
+ * @param {*} body JSON response body or undefined for no body
+ * @param {?object} headers other response headers
+ * @returns {object} response object
+ */
+function jsonResponse(status, body, headers = {}) {
+  if (body === undefined) {
+    return { status, headers, body: null };
+  }
+  headers['Content-Type'] = 'application/json';
+  return { status, headers, body: JSON.stringify(body) };
+}
+
+/**
+ * @param {*} body request body
+ * @returns {?object} request body parsed as a JSON object or null if it isn't one
+ */
+function parseItem(body) {
+  let item = body;
+  if (typeof body === 'string') {
+    try {
+      item = JSON.parse(body);
+    } catch (e) {
+      return null;
+    }
+  }
+  return isPlainObject(item) ? item : null;
+}
+
+/**
+ * @param {object} item item
+ * @param {object} filters query parameters by field. Repeated parameters are arrays.
+ * @returns {boolean} whether the item has one of the filtered values of each field
+ */
+function matchesFilters(item, filters) {
+  return Object.keys(filters).every((field) => {
+    return [].concat(filters[field]).includes(String(item[field]));
+  });
+}
+
+/**
+ * @param {*} value query parameter value
+ * @returns {?number} positive integer or null
+ */
+function parsePositiveInteger(value) {
+  return /^\d+$/.test(value) && Number(value) > 0 ? Number(value) : null;
+}
+
+/**
+ * Create the request handlers of the routes of a REST resource. Request and response bodies are
+ * JSON. The handlers:
+ * - list: respond with the items that match the filter query parameters (e.g. ?done=true), one page
+ *   at a time with the _page (default 1) and _limit query parameters. The X-Total-Count response
+ *   header is the number of matching items.
+ * - get: respond with an item or 404.
+ * - create: add the item of the request body and respond with 201, the created item and its
+ *   Location, or 409 if the id exists.
+ * - replace and patch: replace or update an item and respond with it, or 404 if it doesn't exist,
+ *   or 409 if the request body has another id.
+ * - delete: remove an item and respond with 204, or 404 if it doesn't exist.
+ * Invalid request bodies get 400 responses.
+ *
+ * @param {ResourceStore} store resource store
+ * @param {string} collectionUrl url of the resource collection (e.g. '/api/todos')
+ * @returns {object} request handlers { list, get, create, replace, patch, delete } with the
+ * handler signature (xhr, request). The item handlers use the id route parameter.
+ */
+export function createResourceHandlers(store, collectionUrl) {
+  const { idField } = store;
+  const hasOtherId = (item, id) => {
+    return item[idField] !== undefined && item[idField] !== null
+      && String(item[idField]) !== String(id);
+  };
+  const updateHandler = (update) => (xhr, request) => {
+    const item = parseItem(xhr.body);
+    if (item === null) {
+      return jsonResponse(400, { error: 'The request body must be a JSON object.' });
+    } else if (store.get(request.params.id) === null) {
+      return jsonResponse(404, { error: `No item with ${idField} ${request.params.id}.` });
+    } else if (hasOtherId(item, request.params.id)) {
+      return jsonResponse(409, { error: `The ${idField} of an item can't change.` });
+    }
+    return jsonResponse(200, update(request.params.id, item));
+  };
+
+  return {
+    list: (xhr, request) => {
+      const filters = {};
+      Object.keys(request.query).forEach((name) => {
+        if (name !== pageParam && name !== limitParam) {
+          filters[name] = request.query[name];
+        }
+      });
+      const items = store.items.filter((item) => matchesFilters(item, filters));
+      const limit = parsePositiveInteger(request.query[limitParam]);
+      const page = parsePositiveInteger(request.query[pageParam]) || 1;
+      const pageItems = limit !== null ? items.slice((page - 1) * limit, page * limit) : items;
+      return jsonResponse(200, pageItems, { 'X-Total-Count': String(items.length) });
+    },
+
+    get: (xhr, request) => {
+      const item = store.get(request.params.id);
+      return item !== null
+        ? jsonResponse(200, item)
+        : jsonResponse(404, { error: `No item with ${idField} ${request.params.id}.` });
+    },
+
+    create: (xhr) => {
+      const item = parseItem(xhr.body);
+      if (item === null) {
+        return jsonResponse(400, { error: 'The request body must be a JSON object.' });
+      }
+      const created = store.create(item);
+      if (created === null) {
+        return jsonResponse(409, { error: `An item with ${idField} ${item[idField]} exists.` });
+      }
+      const location = `${collectionUrl}/${encodeURIComponent(created[idField])}`;
+      return jsonResponse(201, created, { Location: location });
+    },
+
+    replace: updateHandler((id, item) => store.replace(id, item)),
+
+    patch: updateHandler((id, item) => store.patch(id, item)),
+
+    delete: (xhr, request) => {
+      return store.delete(request.params.id)
+        ? jsonResponse(204)
+        : jsonResponse(404, { error: `No item with ${idField} ${request.params.id}.` });
+    },
+  };
+}
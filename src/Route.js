@@ -0,0 +1,101 @@
+import { compileRouteMatcher, describeMatcher } from './RouteMatcher';
+
+/**
+ * Route of a MockXhrServer. Records the requests it handles and can have an expected number of
+ * calls checked by MockXhrServer.verify().
+ */
+export default class Route {
+  /**
+   * Constructor
+   *
+   * @param {?string} method HTTP method (null for the default route)
+   * @param {string|RegExp|Function|object|undefined} matcher url matcher or matcher object
+   * (undefined for the default route)
+   * @param {object|Function|object[]|Function[]} handler request handler
+   * @param {?object} options route options (see MockXhrServer.addHandler())
+   */
+  constructor(method, matcher, handler, options = {}) {
+    this.method = method;
+    this.matcher = matcher;
+    this.handler = handler;
+    this.options = options;
+    this.matchRequest = matcher !== undefined ? compileRouteMatcher(matcher) : () => ({});
+    this._calls = [];
+    this._expectedCount = null;
+  }
+
+  /**
+   * @returns {string} route name. Defaults to the method and matcher (e.g. 'GET /users/:id') or
+   * 'default' for the default route.
+   */
+  get name() {
+    if (this.options.name !== undefined) {
+      return this.options.name;
+    }
+    return this.method !== null ? `${this.method} ${describeMatcher(this.matcher)}` : 'default';
+  }
+
+  /**
+   * @returns {number} number of requests handled by the route
+   */
+  get count() {
+    return this._calls.length;
+  }
+
+  /**
+   * @returns {object[]} requests handled by the route. Entries:
+   * { method, url, headers, body, params, query }
+   */
+  get calls() {
+    return this._calls.slice();
+  }
+
+  /**
+   * Record a request handled by the route. Used by MockXhrServer.
+   *
+   * @param {object} call request details (see calls)
+   */
+  recordCall(call) {
+    this._calls.push(call);
+  }
+
+  /**
+   * Expect the route to handle a number of requests. Checked by verify().
+   *
+   * @param {number} count expected number of requests
+   * @returns {Route} this
+   */
+  times(count) {
+    this._expectedCount = count;
+    return this;
+  }
+
+  /**
+   * Expect the route to handle exactly one request. Checked by verify().
+   *
+   * @returns {Route} this
+   */
+  once() {
+    return this.times(1);
+  }
+
+  /**
+   * Expect the route to handle no requests. Checked by verify().
+   *
+   * @returns {Route} this
+   */
+  never() {
+    return this.times(0);
+  }
+
+  /**
+   * Throw an error if the route's expected number of requests is not met or exceeded.
+   */
+  verify() {
+    const expected = this._expectedCount;
+    if (expected !== null && expected !== this.count) {
+      const plural = (count) => `${count} ${count === 1 ? 'request' : 'requests'}`;
+      throw new Error(`Route "${this.name}" expected ${plural(expected)} but received ${this.count}.`);
+    }
+  }
+}
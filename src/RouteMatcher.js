@@ -0,0 +1,410 @@
+import { getUrlComponents, resolveUrl } from './Utils';
+
+// Tokens of Express-style route paths:
+// - named parameters with an optional custom pattern and optional modifier ('/:id', '/:id(\\d+)?')
+// - wildcards ('*')
+// - characters that must be escaped in a RegExp
+// - characters that are percent-encoded in url paths (surrogate pairs are one character)
+const pathTokenRegExp = /(\/?):([A-Za-z_$][\w$]*)(?:\(((?:\\.|[^\\()])+)\))?(\?)?|\*|[.+?^${}()[\]|\\/]|[\uD800-\uDBFF][\uDC00-\uDFFF]|[^!$-;=@-_a-z|~]/g;
+
+// Characters that url paths keep as-is
+const pathCharRegExp = /^[!$-;=@-_a-z|~]$/;
+
+// Origin at the start of route paths ('http://host:port')
+const originRegExp = /^[a-z][a-z\d+.-]*:\/\/[^/]*/i;
+
+/**
+ * @param {string} char character of a route path
+ * @returns {string} the character percent-encoded like in url paths, if needed
+ */
+function encodePathChar(char) {
+  if (pathCharRegExp.test(char)) {
+    return char;
+  }
+  try {
+    return encodeURIComponent(char);
+  } catch (e) {
+    // Lone surrogates are encoded as U+FFFD like URL does
+    return '%EF%BF%BD';
+  }
+}
+
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    // Keep malformed escape sequences as-is like Express does for invalid URIs
+    return value;
+  }
+}
+
+/**
+ * Compile an Express-style route path to a RegExp. Supports named parameters (e.g. '/users/:id'),
+ * custom parameter patterns (e.g. '/users/:id(\\d+)'), optional parameters (e.g. '/users/:id?')
+ * and wildcards (e.g. '/files/*'). Unlike Express, matching is case-sensitive and a trailing slash
+ * is significant, like the exact string matchers of earlier versions. Literal characters are
+ * percent-encoded like in url paths (e.g. ' ' matches '%20').
+ *
+ * See https://expressjs.com/en/guide/routing.html#route-paths
+ *
+ * @param {string} path route path
+ * @returns {object} { regExp, keys } where keys are the parameter names in capture group order.
+ * Wildcards are numbered from 0 like in Express.
+ */
+export function compilePath(path) {
+  const keys = [];
+  let wildcardCount = 0;
+  const source = path.replace(pathTokenRegExp, (token, slash, name, pattern, optional) => {
+    if (name) {
+      keys.push(name);
+      const group = `(${pattern || '[^/]+?'})`;
+      const prefix = slash ? '\\/' : '';
+      return optional ? `(?:${prefix}${group})?` : `${prefix}${group}`;
+    }
+    if (token === '*') {
+      keys.push(wildcardCount);
+      wildcardCount += 1;
+      return '(.*)';
+    }
+    const encoded = encodePathChar(token);
+    return encoded !== token ? encoded : `\\${token}`;
+  });
+  return {
+    regExp: new RegExp(`^${source}$`),
+    keys,
+  };
+}
+
+/**
+ * Parse a query string. Repeated keys are returned as arrays of values.
+ *
+ * @param {string} search query string with or without the leading '?'
+ * @returns {object} parsed query
+ */
+export function parseQuery(search) {
+  const query = {};
+  search.replace(/^\?/, '').split('&').forEach((pair) => {
+    if (pair === '') {
+      return;
+    }
+    const separatorIndex = pair.indexOf('=');
+    const [key, value] = (separatorIndex >= 0
+      ? [pair.slice(0, separatorIndex), pair.slice(separatorIndex + 1)]
+      : [pair, ''])
+      .map((component) => decodeParam(component.replace(/\+/g, ' ')));
+    if (!Object.prototype.hasOwnProperty.call(query, key)) {
+      query[key] = value;
+    } else if (Array.isArray(query[key])) {
+      query[key].push(value);
+    } else {
+      query[key] = [query[key], value];
+    }
+  });
+  return query;
+}
+
+/**
+ * Split a url in its origin, path and query parts with getUrlComponents(). Credentials and the
+ * fragment, if any, are discarded.
+ *
+ * @param {string} url absolute or relative url
+ * @returns {object} { origin, path, query } where origin is '' for relative urls and query is the
+ * parsed query string
+ */
+export function parseUrl(url) {
+  const { origin, pathname, search } = getUrlComponents(url);
+  return { origin, path: pathname, query: parseQuery(search) };
+}
+
+/**
+ * Split a route path from its query string. A '?' following a route parameter is an optional
+ * modifier and not the start of the query string.
+ *
+ * @param {string} path route path with an optional query string
+ * @returns {object} { path, search }
+ */
+function splitRoutePath(path) {
+  pathTokenRegExp.lastIndex = 0;
+  let match = pathTokenRegExp.exec(path);
+  while (match && match[0] !== '?') {
+    match = pathTokenRegExp.exec(path);
+  }
+  pathTokenRegExp.lastIndex = 0;
+  if (!match) {
+    return { path, search: '' };
+  }
+  return {
+    path: path.slice(0, match.index),
+    search: path.slice(match.index),
+  };
+}
+
+/**
+ * Normalize a route path (without query string) like the request urls: relative paths are
+ * resolved against the base url and the origin is serialized like URL does (e.g. lowercase host,
+ * no default port and '/' for an empty path).
+ *
+ * @param {string} path route path
+ * @param {?string} baseUrl base url of the requests (see MockXhr.baseUrl)
+ * @returns {object} { origin, path } where origin is null for route paths without origin
+ */
+function normalizeRoutePath(path, baseUrl) {
+  const originMatch = originRegExp.exec(path);
+  if (!originMatch) {
+    if (path.startsWith('/')) {
+      return { origin: null, path };
+    }
+    return normalizeRoutePath(`${resolveUrl('.', baseUrl)}${path}`, null);
+  }
+
+  let [origin] = originMatch;
+  try {
+    const parsed = new URL(origin);
+    if (parsed.origin !== 'null') {
+      ({ origin } = parsed);
+    }
+  } catch (e) {
+    // Keep origins with route parameters as-is
+  }
+  return { origin, path: path.slice(originMatch[0].length) || '/' };
+}
+
+function matchQueryValue(expected, value) {
+  if (typeof expected === 'function') {
+    return !!expected(value);
+  }
+  if (value === undefined) {
+    return false;
+  }
+  if (expected instanceof RegExp) {
+    return [].concat(value).every((v) => expected.test(v));
+  }
+  if (Array.isArray(expected)) {
+    const values = [].concat(value);
+    return expected.length === values.length
+      && expected.every((v, i) => String(v) === values[i]);
+  }
+  return !Array.isArray(value) && String(expected) === value;
+}
+
+/**
+ * Match a parsed query against a query constraint. The order of the query parameters is not
+ * significant. Each constraint value can be:
+ * - a value that must be equal to the query parameter value (compared as strings);
+ * - an array of values for repeated query parameters;
+ * - a RegExp that the query parameter value must match;
+ * - a predicate Function called with the query parameter value (undefined when absent).
+ *
+ * @param {object|Function} constraint query constraint or predicate called with the whole query
+ * @param {object} query parsed query
+ * @param {boolean} exact whether query parameters not in the constraint are rejected
+ * @returns {boolean} whether the query matches
+ */
+export function matchQuery(constraint, query, exact = false) {
+  if (typeof constraint === 'function') {
+    return !!constraint(query);
+  }
+  const keys = Object.keys(constraint).filter((key) => constraint[key] !== undefined);
+  if (exact && Object.keys(query).some((key) => !keys.includes(key))) {
+    return false;
+  }
+  return keys.every((key) => matchQueryValue(constraint[key], query[key]));
+}
+
+/**
+ * Match request headers against a header constraint. Header names are case-insensitive. Each
+ * constraint value can be:
+ * - a string that must be equal to the header value;
+ * - a RegExp that the header value must match;
+ * - a predicate Function called with the header value (null when absent);
+ * - null if the header must be absent.
+ *
+ * @param {object} constraint header constraint
+ * @param {HeadersContainer} headers request headers
+ * @returns {boolean} whether the headers match
+ */
+export function matchHeaders(constraint, headers) {
+  return Object.keys(constraint).every((name) => {
+    const expected = constraint[name];
+    const value = headers.getHeader(name);
+    if (typeof expected === 'function') {
+      return !!expected(value);
+    } else if (expected instanceof RegExp) {
+      return value !== null && expected.test(value);
+    }
+    return expected === value;
+  });
+}
+
+/**
+ * Match a value against an expected JSON subset. Objects match if all the expected properties
+ * match recursively; other properties are allowed. Arrays match if they have the same length and
+ * all their elements match recursively. Predicate Functions can be used anywhere in the expected
+ * value.
+ *
+ * @param {*} expected expected JSON subset
+ * @param {*} value actual value
+ * @returns {boolean} whether the value matches
+ */
+export function matchJson(expected, value) {
+  if (typeof expected === 'function') {
+    return !!expected(value);
+  } else if (Array.isArray(expected)) {
+    return Array.isArray(value)
+      && expected.length === value.length
+      && expected.every((item, i) => matchJson(item, value[i]));
+  } else if (expected instanceof Object) {
+    return value instanceof Object
+      && !Array.isArray(value)
+      && Object.keys(expected).every((key) => matchJson(expected[key], value[key]));
+  }
+  return expected === value;
+}
+
+function parseJsonBody(body) {
+  if (typeof body !== 'string') {
+    return body;
+  }
+  try {
+    return JSON.parse(body);
+  } catch (e) {
+    return undefined;
+  }
+}
+
+function matchBody(expected, body) {
+  if (typeof expected === 'function') {
+    return !!expected(body);
+  } else if (expected instanceof RegExp) {
+    return typeof body === 'string' && expected.test(body);
+  }
+  return expected === body;
+}
+
+/**
+ * Compile a route url matcher to a function that returns the route parameters extracted from a
+ * request url when it matches or null otherwise.
+ *
+ * String matchers only match the path of the request url. Their own query string, if any, must be
+ * a subset of the request url's query. String matchers without origin (e.g. '/path') match the
+ * path of urls with any origin, while string matchers with an origin (e.g. 'http://host/path')
+ * only match urls with the same origin. String matchers are normalized like request urls (see
+ * MockXhr.open()), so they match the requests opened with the same url: relative paths are
+ * resolved against the base url, literal characters are percent-encoded and the origin is
+ * serialized like URL does.
+ *
+ * @param {string|RegExp|Function} matcher url matcher
+ * @returns {Function} (url, baseUrl) => (params object or null) where baseUrl is the base url
+ * of the requests (see MockXhr.baseUrl, default null)
+ */
+export function compileUrlMatcher(matcher) {
+  if (typeof matcher === 'function') {
+    return (url) => (matcher(url) ? {} : null);
+  } else if (matcher instanceof RegExp) {
+    return (url) => {
+      const match = matcher.exec(url);
+      if (!match) {
+        return null;
+      }
+
+      // Like Express, capture groups are numbered from 0 in the parameters. Named groups are also
+      // available by name where supported.
+      const params = {};
+      match.slice(1).forEach((value, i) => {
+        params[i] = value;
+      });
+      if (match.groups) {
+        Object.keys(match.groups).forEach((name) => {
+          params[name] = match.groups[name];
+        });
+      }
+      return params;
+    };
+  }
+
+  const { path: routePath, search } = splitRoutePath(matcher);
+  const queryConstraint = parseQuery(search);
+
+  // Relative route paths depend on the base url, which can change after the route is added
+  let compiled = null;
+  return (url, baseUrl = null) => {
+    if (compiled === null || compiled.baseUrl !== baseUrl) {
+      const normalized = normalizeRoutePath(routePath, baseUrl);
+      compiled = compilePath(`${normalized.origin || ''}${normalized.path}`);
+      compiled.baseUrl = baseUrl;
+      compiled.matchOrigin = normalized.origin !== null;
+    }
+    const { regExp, keys, matchOrigin } = compiled;
+    const { origin, path, query } = parseUrl(url);
+    const match = regExp.exec(matchOrigin ? `${origin}${path}` : path);
+    if (!match || !matchQuery(queryConstraint, query)) {
+      return null;
+    }
+
+    const params = {};
+    keys.forEach((key, i) => {
+      const value = match[i + 1];
+      if (value !== undefined) {
+        params[key] = decodeParam(value);
+      }
+    });
+    return params;
+  };
+}
+
+/**
+ * Compile a route matcher to a function that returns the route parameters extracted from a request
+ * when it matches or null otherwise.
+ *
+ * @param {string|RegExp|Function|object} matcher url matcher or matcher object with the properties
+ * (all optional):
+ * - url: url matcher
+ * - query: query constraint for matchQuery()
+ * - exactQuery: whether query parameters not in the constraint are rejected (default false)
+ * - headers: request header constraint for matchHeaders()
+ * - json: expected subset of the request body parsed as JSON for matchJson()
+ * - body: request body predicate Function, RegExp or exact value
+ * - withCredentials: expected value of the withCredentials attribute
+ * @returns {Function} request => (params object or null). The request argument is an object with
+ * the url, the base url (see MockXhr.baseUrl), the parsed query, the headers (HeadersContainer),
+ * the body and withCredentials.
+ */
+export function compileRouteMatcher(matcher) {
+  const isMatcherObject = matcher instanceof Object
+    && typeof matcher !== 'function'
+    && !(matcher instanceof RegExp);
+  if (!isMatcherObject) {
+    const matchUrl = compileUrlMatcher(matcher);
+    return (request) => matchUrl(request.url, request.baseUrl);
+  }
+
+  const matchUrl = matcher.url !== undefined ? compileUrlMatcher(matcher.url) : () => ({});
+  return (request) => {
+    const params = matchUrl(request.url, request.baseUrl);
+    if (params === null
+      || (matcher.query && !matchQuery(matcher.query, request.query, matcher.exactQuery))
+      || (matcher.headers && !matchHeaders(matcher.headers, request.headers))
+      || (matcher.json !== undefined && !matchJson(matcher.json, parseJsonBody(request.body)))
+      || (matcher.body !== undefined && !matchBody(matcher.body, request.body))
+      || (matcher.withCredentials !== undefined
+        && !!matcher.withCredentials !== !!request.withCredentials)) {
+      return null;
+    }
+    return params;
+  };
+}
+
+/**
+ * @param {string|RegExp|Function|object} matcher route matcher
+ * @returns {string} description of the route matcher
+ */
+export function describeMatcher(matcher) {
+  if (typeof matcher === 'string' || matcher instanceof RegExp) {
+    return String(matcher);
+  } else if (typeof matcher === 'function') {
+    return '[url matcher Function]';
+  }
+  const url = matcher.url !== undefined ? describeMatcher(matcher.url) : '*';
+  const constraints = Object.keys(matcher).filter((key) => key !== 'url');
+  return constraints.length > 0 ? `${url} (with ${constraints.join(', ')})` : url;
+}
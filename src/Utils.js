@@ -134,3 +134,502 @@ const statusTexts = {
 export function getStatusText(status) {
   return statusTexts[status] || 'Unknown Status';
 }
+
+// Origin used to resolve relative urls when there is no absolute base url
+const placeholderOrigin = 'http://placeholder.invalid';
+
+// Scheme at the start of absolute urls
+const schemeRegExp = /^[a-z][a-z\d+.-]*:/i;
+
+/**
+ * Resolve a url relative to a base url. Both can be relative urls (e.g. '/path').
+ *
+ * @param {string} url url
+ * @param {?string} base base url (optional)
+ * @param {?object} credentials { username, password } to set in the resolved url. Ignored if the
+ * resolved url is relative since it has no host.
+ * @returns {string} resolved url. It is relative if both url and base are relative.
+ * @throws {TypeError} if the url can't be parsed
+ */
+export function resolveUrl(url, base, credentials = {}) {
+  const resolved = new URL(url, base ? new URL(base, placeholderOrigin) : placeholderOrigin);
+  if (resolved.origin === placeholderOrigin) {
+    return resolved.href.slice(placeholderOrigin.length);
+  }
+  if (credentials.username !== undefined && credentials.username !== null) {
+    resolved.username = credentials.username;
+  }
+  if (credentials.password !== undefined && credentials.password !== null) {
+    resolved.password = credentials.password;
+  }
+  return resolved.href;
+}
+
+/**
+ * Parse a url in the components of a URL object. The components before the path (origin,
+ * protocol, username, password, host, hostname and port) are empty strings for relative urls.
+ *
+ * @param {string} url absolute or relative url
+ * @returns {object} url components { href, origin, protocol, username, password, host, hostname,
+ * port, pathname, search, hash }
+ * @throws {TypeError} if the url can't be parsed
+ */
+export function getUrlComponents(url) {
+  const isRelative = !schemeRegExp.test(url);
+  const parsed = new URL(url, placeholderOrigin);
+  const components = {
+    href: isRelative ? parsed.href.slice(placeholderOrigin.length) : parsed.href,
+    pathname: parsed.pathname,
+    search: parsed.search,
+    hash: parsed.hash,
+  };
+  ['origin', 'protocol', 'username', 'password', 'host', 'hostname', 'port'].forEach((name) => {
+    components[name] = isRelative ? '' : parsed[name];
+  });
+  return components;
+}
+
+/**
+ * @param {number} code UTF-16 code unit (NaN past the end of a string)
+ * @returns {boolean} whether the code unit is a low (trailing) surrogate
+ */
+function isLowSurrogate(code) {
+  return code >= 0xDC00 && code < 0xE000;
+}
+
+/**
+ * @param {string} string string
+ * @returns {number} length of the string encoded in UTF-8
+ */
+export function getUtf8ByteLength(string) {
+  let length = 0;
+  for (let i = 0; i < string.length; i++) {
+    const code = string.charCodeAt(i);
+    if (code < 0x80) {
+      length += 1;
+    } else if (code < 0x800) {
+      length += 2;
+    } else if (code >= 0xD800 && code < 0xDC00 && isLowSurrogate(string.charCodeAt(i + 1))) {
+      // Surrogate pair
+      length += 4;
+      i += 1;
+    } else {
+      // Lone surrogates are encoded as U+FFFD
+      length += 3;
+    }
+  }
+  return length;
+}
+
+/**
+ * @param {number[]} codes code points
+ * @returns {string} string of the code points
+ */
+export function stringFromCodePoints(codes) {
+  // String.fromCodePoint() in slices to avoid exceeding the maximum number of arguments
+  let string = '';
+  for (let start = 0; start < codes.length; start += 0x8000) {
+    string += String.fromCodePoint.apply(null, codes.slice(start, start + 0x8000));
+  }
+  return string;
+}
+
+/* eslint-disable no-bitwise */
+/**
+ * Encode a string in UTF-8. Lone surrogates are encoded as U+FFFD like TextEncoder does. The
+ * surrogate pairing must match getUtf8ByteLength(), which sizes the result.
+ *
+ * @param {string} string string
+ * @returns {Uint8Array} UTF-8 bytes
+ */
+export function encodeUtf8(string) {
+  const bytes = new Uint8Array(getUtf8ByteLength(string));
+  let offset = 0;
+  for (let i = 0; i < string.length; i++) {
+    let code = string.charCodeAt(i);
+    if (code >= 0xD800 && code < 0xE000) {
+      const next = string.charCodeAt(i + 1);
+      if (code < 0xDC00 && isLowSurrogate(next)) {
+        code = 0x10000 + ((code - 0xD800) << 10) + (next - 0xDC00);
+        i += 1;
+      } else {
+        code = 0xFFFD;
+      }
+    }
+    if (code < 0x80) {
+      bytes[offset++] = code;
+    } else if (code < 0x800) {
+      bytes[offset++] = 0xC0 | (code >> 6);
+      bytes[offset++] = 0x80 | (code & 0x3F);
+    } else if (code < 0x10000) {
+      bytes[offset++] = 0xE0 | (code >> 12);
+      bytes[offset++] = 0x80 | ((code >> 6) & 0x3F);
+      bytes[offset++] = 0x80 | (code & 0x3F);
+    } else {
+      bytes[offset++] = 0xF0 | (code >> 18);
+      bytes[offset++] = 0x80 | ((code >> 12) & 0x3F);
+      bytes[offset++] = 0x80 | ((code >> 6) & 0x3F);
+      bytes[offset++] = 0x80 | (code & 0x3F);
+    }
+  }
+  return bytes;
+}
+
+/**
+ * Decode UTF-8 bytes. Invalid sequences are decoded as U+FFFD like TextDecoder does.
+ * See https://encoding.spec.whatwg.org/#utf-8-decoder
+ *
+ * @param {Uint8Array} bytes UTF-8 bytes
+ * @returns {string} decoded string
+ */
+export function decodeUtf8(bytes) {
+  const codes = [];
+  let i = 0;
+  while (i < bytes.length) {
+    const byte = bytes[i];
+    let needed = 0;
+    let code = byte;
+    let lower = 0x80;
+    let upper = 0xBF;
+    if (byte >= 0xC2 && byte <= 0xDF) {
+      needed = 1;
+      code = byte & 0x1F;
+    } else if (byte >= 0xE0 && byte <= 0xEF) {
+      needed = 2;
+      code = byte & 0xF;
+      lower = byte === 0xE0 ? 0xA0 : 0x80;
+      upper = byte === 0xED ? 0x9F : 0xBF;
+    } else if (byte >= 0xF0 && byte <= 0xF4) {
+      needed = 3;
+      code = byte & 0x7;
+      lower = byte === 0xF0 ? 0x90 : 0x80;
+      upper = byte === 0xF4 ? 0x8F : 0xBF;
+    } else if (byte >= 0x80) {
+      code = 0xFFFD;
+    }
+    i += 1;
+
+    for (let seen = 0; seen < needed; seen++) {
+      if (i >= bytes.length || bytes[i] < lower || bytes[i] > upper) {
+        // The invalid byte is decoded again as the start of the next sequence
+        code = 0xFFFD;
+        break;
+      }
+      code = (code << 6) | (bytes[i] & 0x3F);
+      lower = 0x80;
+      upper = 0xBF;
+      i += 1;
+    }
+    codes.push(code);
+  }
+  return stringFromCodePoints(codes);
+}
+
+/* eslint-enable no-bitwise */
+
+/**
+ * Get the bytes of a body. Supports strings (encoded in UTF-8) and BufferSource (ArrayBuffer and
+ * its views like typed arrays and node Buffers).
+ *
+ * @param {*} body body
+ * @returns {?Uint8Array} body bytes or null if the body type is not supported. Views share the
+ * memory of the body.
+ */
+export function getBodyBytes(body) {
+  if (typeof body === 'string') {
+    return encodeUtf8(body);
+  } else if (body instanceof ArrayBuffer) {
+    return new Uint8Array(body);
+  } else if (ArrayBuffer.isView(body)) {
+    return new Uint8Array(body.buffer, body.byteOffset, body.byteLength);
+  }
+  return null;
+}
+
+// https://mimesniff.spec.whatwg.org/#http-token-code-point
+const httpTokenRegExp = /^[!#$%&'*+\-.^_`|~\dA-Za-z]+$/;
+
+// https://mimesniff.spec.whatwg.org/#http-quoted-string-token-code-point
+const httpQuotedStringTokenRegExp = /^[\t\x20-\x7E\x80-\xFF]*$/;
+
+/**
+ * Parse a MIME type (e.g. a Content-Type header value).
+ * See https://mimesniff.spec.whatwg.org/#parse-a-mime-type
+ *
+ * @param {string} string MIME type string
+ * @returns {?object} { type, subtype, essence, parameters } where parameters is a Map with
+ * lowercase names, or null if the MIME type can't be parsed
+ */
+export function parseMimeType(string) {
+  const input = string.replace(/^[\t\n\r ]+|[\t\n\r ]+$/g, '');
+  const slashIndex = input.indexOf('/');
+  const type = input.slice(0, slashIndex);
+  let position = input.indexOf(';', slashIndex);
+  if (position < 0) {
+    position = input.length;
+  }
+  const subtype = input.slice(slashIndex + 1, position).replace(/[\t\n\r ]+$/, '');
+  if (slashIndex < 0 || !httpTokenRegExp.test(type) || !httpTokenRegExp.test(subtype)) {
+    return null;
+  }
+
+  const mimeType = {
+    type: type.toLowerCase(),
+    subtype: subtype.toLowerCase(),
+    parameters: new Map(),
+  };
+  mimeType.essence = `${mimeType.type}/${mimeType.subtype}`;
+  while (position < input.length) {
+    // Skip the ';' and leading whitespace
+    position += 1;
+    while (/[\t\n\r ]/.test(input.charAt(position))) {
+      position += 1;
+    }
+
+    let nameEnd = position;
+    while (nameEnd < input.length && input[nameEnd] !== ';' && input[nameEnd] !== '=') {
+      nameEnd += 1;
+    }
+    const name = input.slice(position, nameEnd).toLowerCase();
+    position = nameEnd;
+    if (input[position] === '=') {
+      position += 1;
+      let value = '';
+      const quoted = input[position] === '"';
+      if (quoted) {
+        // Quoted string with backslash escapes. Anything after it up to the next ';' is ignored.
+        position += 1;
+        while (position < input.length && input[position] !== '"') {
+          if (input[position] === '\\' && position + 1 < input.length) {
+            position += 1;
+          }
+          value += input[position];
+          position += 1;
+        }
+        position = input.indexOf(';', position);
+        if (position < 0) {
+          position = input.length;
+        }
+      } else {
+        let valueEnd = input.indexOf(';', position);
+        if (valueEnd < 0) {
+          valueEnd = input.length;
+        }
+        value = input.slice(position, valueEnd).replace(/[\t\n\r ]+$/, '');
+        position = valueEnd;
+      }
+      if ((quoted || value !== '')
+        && httpTokenRegExp.test(name)
+        && httpQuotedStringTokenRegExp.test(value)
+        && !mimeType.parameters.has(name)) {
+        mimeType.parameters.set(name, value);
+      }
+    }
+  }
+  return mimeType;
+}
+
+/**
+ * See https://mimesniff.spec.whatwg.org/#xml-mime-type
+ *
+ * @param {string} essence MIME type essence (e.g. 'application/xml')
+ * @returns {boolean} whether it is an XML MIME type
+ */
+export function isXmlMimeType(essence) {
+  return /\+xml$/.test(essence) || essence === 'text/xml' || essence === 'application/xml';
+}
+
+/**
+ * Serialize a MIME type parsed by parseMimeType().
+ * See https://mimesniff.spec.whatwg.org/#serialize-a-mime-type
+ *
+ * @param {object} mimeType parsed MIME type
+ * @returns {string} serialized MIME type
+ */
+export function serializeMimeType(mimeType) {
+  let serialized = mimeType.essence;
+  mimeType.parameters.forEach((value, name) => {
+    if (value === '' || !httpTokenRegExp.test(value)) {
+      value = `"${value.replace(/(["\\])/g, '\\$1')}"`;
+    }
+    serialized += `;${name}=${value}`;
+  });
+  return serialized;
+}
+
+/**
+ * Extract the MIME type of a Content-Type header value. Combined header values (e.g.
+ * 'text/plain, text/html') are handled like in a browser.
+ * See https://fetch.spec.whatwg.org/#concept-header-extract-mime-type
+ *
+ * @param {?string} contentType Content-Type header value
+ * @returns {?object} parsed MIME type (see parseMimeType()) or null if there is none
+ */
+export function extractMimeType(contentType) {
+  if (contentType === null) {
+    return null;
+  }
+
+  // Split the values on the commas outside quoted strings
+  const values = contentType.match(/(?:"(?:\\.|[^"\\])*"?|[^,"])+|(?=,)|^$/g) || [];
+  let charset = null;
+  let essence = null;
+  let mimeType = null;
+  values.forEach((value) => {
+    const parsed = parseMimeType(value);
+    if (parsed === null || parsed.essence === '*/*') {
+      return;
+    }
+    mimeType = parsed;
+    if (mimeType.essence !== essence) {
+      charset = mimeType.parameters.has('charset') ? mimeType.parameters.get('charset') : null;
+      essence = mimeType.essence;
+    } else if (!mimeType.parameters.has('charset') && charset !== null) {
+      mimeType.parameters.set('charset', charset);
+    }
+  });
+  return mimeType;
+}
+
+/**
+ * Check the class of a built-in object using its Symbol.toStringTag. Unlike instanceof, this works
+ * across realms (e.g. jsdom) and when the class isn't a global in the environment.
+ *
+ * @param {*} value value
+ * @param {string} className class name (e.g. 'FormData')
+ * @returns {boolean} whether the value is an instance of the class
+ */
+export function isObjectOfClass(value, className) {
+  return Object.prototype.toString.call(value) === `[object ${className}]`;
+}
+
+// Same length as the boundaries generated by browsers (e.g. '----WebKitFormBoundary' + 16 chars)
+const multipartBoundaryLength = 38;
+const multipartBoundaryPrefix = '----MockXhrFormBoundary';
+const defaultMultipartBoundary = '-'.repeat(multipartBoundaryLength);
+
+/**
+ * Generate a random multipart/form-data boundary. All the boundaries have the same length, so the
+ * size of multipart/form-data bodies doesn't depend on the boundary.
+ *
+ * @returns {string} multipart boundary
+ */
+export function generateMultipartBoundary() {
+  const chars = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+  let boundary = multipartBoundaryPrefix;
+  while (boundary.length < multipartBoundaryLength) {
+    boundary += chars[Math.floor(Math.random() * chars.length)];
+  }
+  return boundary;
+}
+
+/**
+ * Get the parts of the multipart/form-data encoding of a FormData object.
+ * See https://html.spec.whatwg.org/multipage/form-control-infrastructure.html#multipart-form-data
+ *
+ * @param {FormData} formData form data
+ * @param {string} boundary multipart boundary
+ * @returns {Array} parts as strings and Blobs (for file entries)
+ */
+function getFormDataParts(formData, boundary) {
+  const escape = (name) => name.replace(/\r/g, '%0D').replace(/\n/g, '%0A').replace(/"/g, '%22');
+  const parts = [];
+  formData.forEach((value, name) => {
+    let headers = `--${boundary}\r\nContent-Disposition: form-data; name="${escape(name)}"`;
+    if (typeof value === 'string') {
+      parts.push(`${headers}\r\n\r\n${value}\r\n`);
+    } else {
+      headers += `; filename="${escape(value.name || 'blob')}"\r\n`;
+      headers += `Content-Type: ${value.type || 'application/octet-stream'}\r\n\r\n`;
+      parts.push(headers, value, '\r\n');
+    }
+  });
+  parts.push(`--${boundary}--\r\n`);
+  return parts;
+}
+
+/**
+ * Get the Content-Type of a request body like the Fetch body extraction.
+ * See https://fetch.spec.whatwg.org/#concept-bodyinit-extract
+ *
+ * @param {*} body request body (not null)
+ * @param {string} boundary multipart boundary for FormData bodies
+ * @returns {?string} Content-Type of the body or null if it has none
+ */
+export function getBodyContentType(body, boundary) {
+  if (typeof body === 'string') {
+    return 'text/plain;charset=UTF-8';
+  } else if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) {
+    return null;
+  } else if (isObjectOfClass(body, 'URLSearchParams')) {
+    return 'application/x-www-form-urlencoded;charset=UTF-8';
+  } else if (isObjectOfClass(body, 'FormData')) {
+    return `multipart/form-data; boundary=${boundary}`;
+  }
+
+  // As specified for Blob. Also used for other objects with a type.
+  return body.type ? String(body.type) : null;
+}
+
+/**
+ * Serialize a request body like the Fetch body extraction. Strings, BufferSource and Blob bodies
+ * are returned as-is. URLSearchParams bodies are serialized to a string. FormData bodies are
+ * serialized to a multipart/form-data string, or to a Blob when they contain files since Blob
+ * contents can only be read asynchronously.
+ * See https://fetch.spec.whatwg.org/#concept-bodyinit-extract
+ *
+ * @param {*} body request body
+ * @param {string} boundary multipart boundary for FormData bodies
+ * @param {Function} BlobClass Blob class used for FormData bodies that contain files (e.g.
+ * MockBlob in environments without Blob)
+ * @returns {*} serialized request body
+ */
+export function serializeBody(body, boundary, BlobClass) {
+  if (isObjectOfClass(body, 'URLSearchParams')) {
+    return body.toString();
+  } else if (isObjectOfClass(body, 'FormData')) {
+    const parts = getFormDataParts(body, boundary);
+    if (parts.every((part) => typeof part === 'string')) {
+      return parts.join('');
+    }
+    return new BlobClass(parts, { type: getBodyContentType(body, boundary) });
+  }
+  return body;
+}
+
+/**
+ * Get the size in bytes of a request or response body. Supports strings, BufferSource (ArrayBuffer
+ * and its views like typed arrays and node Buffers), Blob, URLSearchParams and FormData bodies.
+ *
+ * @param {*} body request or response body
+ * @returns {number} body size in bytes
+ */
+export function getBodyByteLength(body) {
+  if (body === null || body === undefined) {
+    return 0;
+  } else if (typeof body === 'string') {
+    return getUtf8ByteLength(body);
+  } else if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) {
+    return body.byteLength;
+  } else if (isObjectOfClass(body, 'URLSearchParams')) {
+    return getUtf8ByteLength(body.toString());
+  } else if (isObjectOfClass(body, 'FormData')) {
+    return getFormDataParts(body, defaultMultipartBoundary).reduce((length, part) => {
+      return length + (typeof part === 'string' ? getUtf8ByteLength(part) : part.size);
+    }, 0);
+  } else if (typeof body.size === 'number') {
+    // Blob
+    return body.size;
+  }
+  return body.length || 0;
+}
+
+/**
+ * Clock that uses the real timers and time. See VirtualClock for a virtual clock. The global
+ * functions are looked up on each call so that they can be replaced by fake timer libraries.
+ */
+export const realClock = {
+  now: () => Date.now(),
+  setTimeout: (callback, delay) => setTimeout(callback, delay),
+  clearTimeout: (id) => clearTimeout(id),
+};
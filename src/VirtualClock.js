@@ -0,0 +1,120 @@
+// Maximum number of timers run by runAll() before it assumes that timers schedule timers forever
+const maxTimers = 1000;
+
+/**
+ * Virtual clock for MockXhr and MockXhrServer. Timers only run when the clock is advanced with
+ * tick(), runAll() or runPending(), which makes request dispatch, response delays and timeout
+ * events deterministic and instantaneous.
+ *
+ * Any object with the same now(), setTimeout() and clearTimeout() methods can be used as a clock.
+ */
+export default class VirtualClock {
+  /**
+   * Constructor
+   *
+   * @param {number} now initial time in milliseconds (default 0)
+   */
+  constructor(now = 0) {
+    this._now = now;
+    this._timers = [];
+    this._nextId = 1;
+  }
+
+  /**
+   * @returns {number} current time in milliseconds
+   */
+  now() {
+    return this._now;
+  }
+
+  /**
+   * Schedule a timer.
+   *
+   * @param {Function} callback function to call
+   * @param {number} delay delay in milliseconds (default 0)
+   * @returns {number} timer id for clearTimeout()
+   */
+  setTimeout(callback, delay = 0) {
+    const timer = {
+      id: this._nextId,
+      callback,
+      time: this._now + Math.max(0, Number(delay) || 0),
+    };
+    this._nextId += 1;
+
+    // Keep the timers ordered by time, then by scheduling order
+    const index = this._timers.findIndex((t) => t.time > timer.time);
+    this._timers.splice(index >= 0 ? index : this._timers.length, 0, timer);
+    return timer.id;
+  }
+
+  /**
+   * Cancel a timer.
+   *
+   * @param {number} id timer id returned by setTimeout()
+   */
+  clearTimeout(id) {
+    this._timers = this._timers.filter((timer) => timer.id !== id);
+  }
+
+  /**
+   * @returns {number} number of scheduled timers
+   */
+  get timerCount() {
+    return this._timers.length;
+  }
+
+  /**
+   * Advance the clock, running the timers that are due in order. Includes timers scheduled by
+   * these timers.
+   *
+   * @param {number} ms number of milliseconds
+   * @returns {VirtualClock} this
+   */
+  tick(ms) {
+    const end = this._now + ms;
+    while (this._timers.length > 0 && this._timers[0].time <= end) {
+      this._runTimer(this._timers[0]);
+    }
+    this._now = end;
+    return this;
+  }
+
+  /**
+   * Run all the timers, including the timers scheduled by these timers, advancing the clock to the
+   * time of the last one. Throws after a large number of timers to avoid infinite loops.
+   *
+   * @returns {VirtualClock} this
+   */
+  runAll() {
+    for (let i = 0; i < maxTimers; i += 1) {
+      if (this._timers.length === 0) {
+        return this;
+      }
+      this._runTimer(this._timers[0]);
+    }
+    throw new Error(`Aborting after running ${maxTimers} timers, assuming an infinite loop.`);
+  }
+
+  /**
+   * Run the timers currently scheduled, but not the timers that they schedule, advancing the clock
+   * to the time of the last one.
+   *
+   * @returns {VirtualClock} this
+   */
+  runPending() {
+    this._timers.slice().forEach((timer) => {
+      // Skip timers cleared by previous timers
+      if (this._timers.includes(timer)) {
+        this._runTimer(timer);
+      }
+    });
+    return this;
+  }
+
+  _runTimer(timer) {
+    this._timers = this._timers.filter((t) => t !== timer);
+    this._now = Math.max(this._now, timer.time);
+    timer.callback();
+  }
+}
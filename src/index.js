@@ -2,5 +2,8 @@
 export { newMockXhr, newServer } from './Factories';
 
 // Factory methods
+export { default as CookieJar } from './CookieJar';
+export { default as HttpCache } from './HttpCache';
 export { default as MockXhr } from './MockXhr';
 export { default as MockXhrServer } from './MockXhrServer';
+export { default as VirtualClock } from './VirtualClock';
@@ -2,6 +2,11 @@ module.exports = {
   env: {
     mocha: true,
   },
+  globals: {
+    // Available in Node.js since v18. Tests that use them are skipped in older versions.
+    Blob: 'readonly',
+    FormData: 'readonly',
+  },
   rules: {
     // Arrow functions can't access the Mocha context so we allow unnamed functions
     'func-names': 0,
@@ -0,0 +1,88 @@
+import { assert } from 'chai';
+
+import HeadersContainer from '../src/HeadersContainer';
+import { createRangeResponse, ifRangeMatches, parseRangeHeader } from '../src/ByteRanges';
+import { decodeUtf8 } from '../src/Utils';
+
+describe('ByteRanges', () => {
+  describe('parseRangeHeader()', () => {
+    it('should return the satisfiable ranges', () => {
+      assert.deepEqual(parseRangeHeader('bytes=0-9, 90-, -5,200-300', 100), [
+        { start: 0, end: 9 },
+        { start: 90, end: 99 },
+        { start: 95, end: 99 },
+      ]);
+      assert.deepEqual(parseRangeHeader('Bytes = 50-150', 100), [{ start: 50, end: 99 }], 'clamped');
+      assert.deepEqual(parseRangeHeader('bytes=-500', 100), [{ start: 0, end: 99 }], 'suffix');
+      assert.deepEqual(parseRangeHeader('bytes=100-, -0', 100), [], 'unsatisfiable');
+    });
+
+    it('should ignore absent, invalid and non-byte Range headers', () => {
+      [null, 'items=0-9', 'bytes=', 'bytes=9-0', 'bytes=a-b', 'bytes=-', 'bytes=0-9;1-2'].forEach((value) => {
+        assert.isNull(parseRangeHeader(value, 100), value);
+      });
+    });
+  });
+
+  it('should compare If-Range headers with the ETag and Last-Modified headers', () => {
+    const headers = new HeadersContainer({
+      ETag: '"v1"',
+      'Last-Modified': 'Tue, 01 Jan 2030 00:00:00 GMT',
+    });
+    assert.isTrue(ifRangeMatches(null, headers));
+    assert.isTrue(ifRangeMatches('"v1"', headers));
+    assert.isFalse(ifRangeMatches('"v2"', headers));
+    assert.isFalse(ifRangeMatches('W/"v1"', headers), 'weak');
+    assert.isTrue(ifRangeMatches('Tue, 01 Jan 2030 00:00:00 GMT', headers));
+    assert.isFalse(ifRangeMatches('Tue, 01 Jan 2030 00:00:01 GMT', headers));
+  });
+
+  describe('createRangeResponse()', () => {
+    const resource = { headers: { 'Content-Type': 'text/plain' }, body: '0123456789' };
+
+    function requestRange(range, method = 'GET') {
+      return createRangeResponse(method, new HeadersContainer({ Range: range }), resource);
+    }
+
+    it('should respond with the whole resource without Range header', () => {
+      const response = createRangeResponse('GET', new HeadersContainer(), resource);
+      assert.deepEqual(response, {
+        status: 200,
+        headers: { 'content-type': 'text/plain', 'accept-ranges': 'bytes', 'content-length': '10' },
+        body: '0123456789',
+      });
+      assert.isNull(requestRange('bytes=0-1', 'HEAD').body, 'HEAD');
+      assert.equal(requestRange('bytes=0-1', 'HEAD').status, 200, 'HEAD');
+    });
+
+    it('should respond with a single range', () => {
+      const response = requestRange('bytes=2-4');
+      assert.equal(response.status, 206);
+      assert.equal(response.headers['content-range'], 'bytes 2-4/10');
+      assert.equal(response.headers['content-length'], '3');
+      assert.equal(decodeUtf8(response.body), '234');
+    });
+
+    it('should respond with multipart/byteranges for multiple ranges', () => {
+      const response = requestRange('bytes=0-1,-2');
+      assert.equal(response.status, 206);
+      const boundary = /^multipart\/byteranges; boundary=(.+)$/.exec(response.headers['content-type'])[1];
+      assert.equal(decodeUtf8(response.body), `--${boundary}\r\n`
+        + 'Content-Type: text/plain\r\n'
+        + 'Content-Range: bytes 0-1/10\r\n\r\n'
+        + `01\r\n--${boundary}\r\n`
+        + 'Content-Type: text/plain\r\n'
+        + 'Content-Range: bytes 8-9/10\r\n\r\n'
+        + `89\r\n--${boundary}--\r\n`);
+      assert.equal(response.headers['content-length'], String(response.body.length));
+    });
+
+    it('should respond with 416 when no range is satisfiable', () => {
+      assert.deepEqual(requestRange('bytes=10-'), {
+        status: 416,
+        headers: { 'Content-Range': 'bytes */10' },
+        body: null,
+      });
+    });
+  });
+});
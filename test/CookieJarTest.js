@@ -0,0 +1,83 @@
+import { assert } from 'chai';
+
+import CookieJar, { parseCookieHeader } from '../src/CookieJar';
+import VirtualClock from '../src/VirtualClock';
+
+describe('CookieJar', () => {
+  it('should store cookies with their attributes', () => {
+    const jar = new CookieJar(new VirtualClock(1000));
+    assert.isTrue(jar.setCookie('id=1; Path=/api; Domain=.Example.com; Secure; HttpOnly; Max-Age=60; SameSite=Lax', 'https://www.example.com/'));
+    assert.deepEqual(jar.cookies, [{
+      name: 'id',
+      value: '1',
+      domain: 'example.com',
+      path: '/api',
+      expires: 61000,
+      secure: true,
+      httpOnly: true,
+      hostOnly: false,
+      sameSite: 'Lax',
+    }]);
+  });
+
+  it('should default to a host-only cookie with the directory of the url as path', () => {
+    const jar = new CookieJar();
+    jar.setCookie('a=1', 'http://example.com/users/1');
+    jar.setCookie('b=2', '/page');
+    assert.deepEqual(jar.cookies.map(({ domain, path, hostOnly }) => [domain, path, hostOnly]), [
+      ['example.com', '/users', true],
+      ['localhost', '/', true],
+    ]);
+  });
+
+  it('should ignore invalid cookies', () => {
+    const jar = new CookieJar();
+    assert.isFalse(jar.setCookie('a=1; Domain=other.com', 'http://example.com/'), 'domain');
+    assert.isFalse(jar.setCookie('a=1; Secure', 'http://example.com/'), 'secure from http');
+    assert.isFalse(jar.setCookie('=', 'http://example.com/'), 'empty');
+    assert.lengthOf(jar.cookies, 0);
+  });
+
+  it('should return the cookies that match the url', () => {
+    const jar = new CookieJar();
+    jar.setCookie('host=1', 'https://example.com/');
+    jar.setCookie('domain=2; Domain=example.com', 'https://example.com/');
+    jar.setCookie('path=3; Path=/api', 'https://example.com/');
+    jar.setCookie('secure=4; Secure', 'https://example.com/');
+
+    assert.equal(jar.getCookieHeader('https://example.com/api/users'), 'path=3; host=1; domain=2; secure=4');
+    assert.equal(jar.getCookieHeader('http://example.com/apis'), 'host=1; domain=2', 'not secure');
+    assert.equal(jar.getCookieHeader('https://www.example.com/'), 'domain=2', 'subdomain');
+    assert.isNull(jar.getCookieHeader('https://other.com/'));
+  });
+
+  it('should replace and expire cookies with the clock', () => {
+    const clock = new VirtualClock(Date.parse('2030-01-01T00:00:00Z'));
+    const jar = new CookieJar(clock);
+    jar.setCookie('a=1', '/');
+    jar.setCookie('b=1; Max-Age=10', '/');
+    jar.setCookie('c=1; Expires=Tue, 01 Jan 2030 00:01:00 GMT', '/');
+    jar.setCookie('a=2', '/');
+    assert.equal(jar.getCookieHeader('/'), 'a=2; b=1; c=1', 'replaced in place');
+
+    clock.tick(10000);
+    assert.equal(jar.getCookieHeader('/'), 'a=2; c=1', 'Max-Age');
+    clock.tick(50000);
+    assert.equal(jar.getCookieHeader('/'), 'a=2', 'Expires');
+
+    jar.setCookie('a=; Max-Age=0', '/');
+    assert.isNull(jar.getCookieHeader('/'), 'removed');
+  });
+
+  it('should remove all the cookies with clear()', () => {
+    const jar = new CookieJar();
+    jar.setCookie('a=1', '/');
+    jar.clear();
+    assert.lengthOf(jar.cookies, 0);
+  });
+
+  it('should parse Cookie request headers with parseCookieHeader()', () => {
+    assert.deepEqual(parseCookieHeader('a=1; b = 2;c=x=y; a=3'), { a: '1', b: '2', c: 'x=y' });
+    assert.deepEqual(parseCookieHeader(null), {});
+  });
+});
@@ -0,0 +1,55 @@
+import { assert } from 'chai';
+
+import HeadersContainer from '../src/HeadersContainer';
+import { getUnsafeRequestHeaderNames, isCrossOrigin, needsPreflight } from '../src/Cors';
+
+describe('Cors', () => {
+  describe('isCrossOrigin()', () => {
+    it('should compare the url origin with the page origin', () => {
+      const origin = 'https://example.com';
+      assert.isFalse(isCrossOrigin('/path', origin), 'relative url');
+      assert.isFalse(isCrossOrigin('https://example.com:443/path', origin), 'default port');
+      assert.isTrue(isCrossOrigin('http://example.com/path', origin), 'scheme');
+      assert.isTrue(isCrossOrigin('https://api.example.com/path', origin), 'host');
+      assert.isFalse(isCrossOrigin('https://api.example.com/path', null), 'disabled');
+    });
+  });
+
+  describe('getUnsafeRequestHeaderNames()', () => {
+    it('should return the sorted names of the headers that are not safelisted', () => {
+      const headers = new HeadersContainer({
+        'X-B': '1',
+        Accept: 'application/json',
+        'Accept-Language': 'en-US,en;q=0.5',
+        'Content-Language': 'fr(CA)',
+        'Content-Type': 'application/json',
+        Range: 'bytes=0-99',
+        Origin: 'https://example.com',
+        'X-A': '2',
+      });
+      assert.deepEqual(getUnsafeRequestHeaderNames(headers), [
+        'content-language',
+        'content-type',
+        'x-a',
+        'x-b',
+      ]);
+    });
+
+    it('should only safelist the Content-Type of forms and text', () => {
+      ['application/x-www-form-urlencoded', 'multipart/form-data; boundary=a', 'Text/Plain']
+        .forEach((contentType) => {
+          const headers = new HeadersContainer({ 'Content-Type': contentType });
+          assert.deepEqual(getUnsafeRequestHeaderNames(headers), [], contentType);
+        });
+      const headers = new HeadersContainer({ 'Content-Type': 'text/plain; a="@"' });
+      assert.deepEqual(getUnsafeRequestHeaderNames(headers), ['content-type'], 'unsafe byte');
+    });
+  });
+
+  it('should need a preflight for other methods, unsafe headers and upload listeners', () => {
+    assert.isFalse(needsPreflight('POST', [], false));
+    assert.isTrue(needsPreflight('PATCH', [], false));
+    assert.isTrue(needsPreflight('GET', ['x-a'], false));
+    assert.isTrue(needsPreflight('GET', [], true));
+  });
+});
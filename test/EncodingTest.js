@@ -0,0 +1,70 @@
+import { assert } from 'chai';
+
+import { decode, getEncoding, utf8Decode } from '../src/Encoding';
+
+// Node.js before v11 has no global TextDecoder and small-ICU builds can't decode Shift_JIS
+function hasShiftJisDecoder() {
+  try {
+    return new TextDecoder('shift_jis').encoding === 'shift_jis';
+  } catch (e) {
+    return false;
+  }
+}
+
+describe('Encoding', () => {
+  describe('getEncoding()', () => {
+    it('should normalize labels', () => {
+      assert.equal(getEncoding(' UTF8 '), 'UTF-8');
+      assert.equal(getEncoding('utf-16'), 'UTF-16LE');
+      assert.equal(getEncoding('UTF-16BE'), 'UTF-16BE');
+      assert.equal(getEncoding('ISO-8859-1'), 'windows-1252', 'Latin-1 label');
+      assert.equal(getEncoding('us-ascii'), 'windows-1252');
+    });
+
+    it('should use TextDecoder for other labels', function () {
+      if (!hasShiftJisDecoder()) {
+        this.skip();
+      }
+      assert.equal(getEncoding('Shift_JIS'), 'shift_jis');
+    });
+
+    it('should return null for unknown labels', () => {
+      assert.isNull(getEncoding('unknown'));
+      assert.isNull(getEncoding('replacement'));
+    });
+  });
+
+  describe('decode()', () => {
+    it('should decode UTF-8', () => {
+      assert.equal(decode(Uint8Array.from([0x61, 0xC3, 0xA9]), 'UTF-8'), 'aé');
+    });
+
+    it('should decode UTF-16', () => {
+      const bytes = Uint8Array.from([0x61, 0x00, 0x3D, 0xD8, 0x00, 0xDE, 0x00, 0xD8]);
+      assert.equal(decode(bytes, 'UTF-16LE'), 'a\u{1F600}�', 'surrogates');
+      assert.equal(decode(Uint8Array.from([0x00, 0x61, 0x00]), 'UTF-16BE'), 'a�', 'odd length');
+    });
+
+    it('should decode windows-1252', () => {
+      assert.equal(decode(Uint8Array.from([0x61, 0xE9, 0x80, 0x81]), 'windows-1252'), 'aé€\x81');
+    });
+
+    it('should decode other encodings with TextDecoder', function () {
+      if (!hasShiftJisDecoder()) {
+        this.skip();
+      }
+      assert.equal(decode(Uint8Array.from([0x82, 0xA0]), 'shift_jis'), 'あ');
+    });
+
+    it('should sniff the byte order mark', () => {
+      assert.equal(decode(Uint8Array.from([0xEF, 0xBB, 0xBF, 0xC3, 0xA9]), 'windows-1252'), 'é');
+      assert.equal(decode(Uint8Array.from([0xFE, 0xFF, 0x00, 0xE9]), 'UTF-8'), 'é');
+      assert.equal(decode(Uint8Array.from([0xFF, 0xFE, 0xE9, 0x00]), 'UTF-8'), 'é');
+    });
+  });
+
+  it('should remove the UTF-8 byte order mark with utf8Decode()', () => {
+    assert.equal(utf8Decode(Uint8Array.from([0xEF, 0xBB, 0xBF, 0x61])), 'a');
+    assert.equal(utf8Decode(Uint8Array.from([0xFF, 0xFE, 0x61])), '��a');
+  });
+});
@@ -197,6 +197,19 @@ describe('Factories', () => {
       setTimeout(() => { done(); }, 40);
     });
 
+    it('should pass the options to the server', (done) => {
+      const server = newServer({
+        get: ['/url', () => Promise.reject(new Error('handler error'))],
+      }, { handlerErrorResponse: { status: 503 } });
+      const xhr = server.xhrFactory();
+      xhr.open('GET', '/url');
+      xhr.onload = () => {
+        assert.equal(xhr.status, 503);
+        done();
+      };
+      xhr.send();
+    });
+
     it('should work with the quick start code', (done) => {
       const server = newServer({
         get: ['/my/url', {
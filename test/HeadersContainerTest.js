@@ -46,6 +46,12 @@ describe('HeadersContainer', () => {
     assert.equal(headers.getHeader('header'), '1, 2');
   });
 
+  it('should remove headers', () => {
+    const headers = new HeadersContainer({ header: '123', other: '456' });
+    headers.removeHeader('HEADER');
+    assert.deepEqual(headers.getHash(), { other: '456' });
+  });
+
   describe('getAll()', () => {
     it('should concatenate all headers with proper formatting', () => {
       const headers = new HeadersContainer();
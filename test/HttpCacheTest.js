@@ -0,0 +1,95 @@
+import { assert } from 'chai';
+
+import HeadersContainer from '../src/HeadersContainer';
+import HttpCache from '../src/HttpCache';
+import VirtualClock from '../src/VirtualClock';
+
+describe('HttpCache', () => {
+  const noHeaders = new HeadersContainer();
+
+  function storeResponse(cache, headers, url = '/data', requestHeaders = noHeaders) {
+    return cache.store(url, requestHeaders, {
+      status: 200,
+      statusText: 'OK',
+      headers,
+      body: 'body',
+    });
+  }
+
+  function isFresh(cache, url = '/data', requestHeaders = noHeaders) {
+    const entry = cache.match(url, requestHeaders);
+    return entry !== null && cache.isFresh(entry, requestHeaders);
+  }
+
+  it('should measure freshness with max-age, Expires and Age', () => {
+    const clock = new VirtualClock(Date.parse('2030-01-01T00:00:00Z'));
+    const cache = new HttpCache(clock);
+    storeResponse(cache, { 'Cache-Control': 'public, max-age="60"', Expires: '0' }, '/max-age');
+    storeResponse(cache, {
+      Date: 'Tue, 01 Jan 2030 00:00:00 GMT',
+      Expires: 'Tue, 01 Jan 2030 00:00:30 GMT',
+    }, '/expires');
+    storeResponse(cache, { 'Cache-Control': 'max-age=60', Age: '50' }, '/age');
+
+    clock.tick(29999);
+    assert.isTrue(isFresh(cache, '/expires'));
+    clock.tick(1);
+    assert.isFalse(isFresh(cache, '/expires'));
+    assert.isTrue(isFresh(cache, '/max-age'));
+    assert.isFalse(isFresh(cache, '/age'));
+    clock.tick(30000);
+    assert.isFalse(isFresh(cache, '/max-age'));
+  });
+
+  it('should use 10% of the time since Last-Modified as heuristic freshness', () => {
+    const clock = new VirtualClock(Date.parse('2030-01-01T00:00:00Z'));
+    const cache = new HttpCache(clock);
+    storeResponse(cache, { 'Last-Modified': 'Mon, 31 Dec 2029 23:00:00 GMT' });
+    clock.tick(359999);
+    assert.isTrue(isFresh(cache));
+    clock.tick(1);
+    assert.isFalse(isFresh(cache));
+  });
+
+  it('should only store responses that can be reused', () => {
+    const cache = new HttpCache();
+    assert.isFalse(storeResponse(cache, {}), 'no freshness and no validator');
+    assert.isFalse(storeResponse(cache, { ETag: '"1"', Vary: '*' }), 'Vary: *');
+    assert.isFalse(cache.store('/data', noHeaders, { status: 500, headers: { ETag: '"1"' } }));
+    assert.isTrue(storeResponse(cache, { ETag: '"1"' }));
+    assert.isFalse(storeResponse(cache, { ETag: '"2"', 'Cache-Control': 'no-store' }));
+    assert.lengthOf(cache.entries, 0, 'no-store removes the stored response');
+  });
+
+  it('should update the stored headers with the headers of 304 responses', () => {
+    const clock = new VirtualClock(1000);
+    const cache = new HttpCache(clock);
+    storeResponse(cache, { ETag: '"1"', 'Content-Length': '4', 'X-A': 'a' });
+    clock.tick(1000);
+    const entry = cache.match('/data', noHeaders);
+    cache.update(entry, new HeadersContainer({ 'Content-Length': '0', 'X-A': 'b', 'X-B': 'c' }));
+    assert.deepEqual(cache.entries, [{
+      url: '/data',
+      status: 200,
+      statusText: 'OK',
+      headers: {
+        etag: '"1"',
+        'content-length': '4',
+        'x-a': 'b',
+        'x-b': 'c',
+      },
+      body: 'body',
+      responseTime: 2000,
+    }]);
+  });
+
+  it('should remove stored responses with invalidate() and clear()', () => {
+    const cache = new HttpCache();
+    storeResponse(cache, { ETag: '"1"' }, '/a');
+    storeResponse(cache, { ETag: '"1"' }, '/b');
+    cache.invalidate('/a');
+    assert.deepEqual(cache.entries.map(({ url }) => url), ['/b']);
+    cache.clear();
+    assert.lengthOf(cache.entries, 0);
+  });
+});
@@ -0,0 +1,50 @@
+import { assert } from 'chai';
+
+import MockBlob from '../src/MockBlob';
+
+describe('MockBlob', () => {
+  it('should concatenate string and BufferSource parts', () => {
+    const blob = new MockBlob(['aé', Uint8Array.from([0x62]), Uint8Array.from([0x63]).buffer]);
+    assert.equal(blob.size, 5);
+    assert.equal(Object.prototype.toString.call(blob), '[object Blob]');
+    return blob.text().then((text) => {
+      assert.equal(text, 'aébc');
+    });
+  });
+
+  it('should normalize the type', () => {
+    assert.equal(new MockBlob([]).type, '');
+    assert.equal(new MockBlob([], { type: 'Text/Plain' }).type, 'text/plain');
+    assert.equal(new MockBlob([], { type: 'text/plainé' }).type, '', 'non-ASCII type');
+  });
+
+  it('should return the bytes as an ArrayBuffer', () => {
+    return new MockBlob(['abc']).arrayBuffer().then((buffer) => {
+      assert.deepEqual(Array.from(new Uint8Array(buffer)), [0x61, 0x62, 0x63]);
+    });
+  });
+
+  it('should slice', () => {
+    const blob = new MockBlob(['abcd']).slice(1, -1, 'text/plain');
+    assert.equal(blob.size, 2);
+    assert.equal(blob.type, 'text/plain');
+    return blob.text().then((text) => {
+      assert.equal(text, 'bc');
+    });
+  });
+
+  it('should encode lone surrogates as U+FFFD', () => {
+    const blob = new MockBlob(['\uD800\u00e9', '\uD800\uD800']);
+    assert.equal(blob.size, 11);
+    return blob.text().then((text) => {
+      assert.equal(text, '\uFFFD\u00e9\uFFFD\uFFFD');
+    });
+  });
+
+  it('should decode invalid UTF-8 with replacement characters', () => {
+    return new MockBlob([Uint8Array.from([0x61, 0xC3, 0x28, 0xF0, 0x9F, 0x98, 0x80, 0xFF])]).text()
+      .then((text) => {
+        assert.equal(text, 'a�(\u{1F600}�');
+      });
+  });
+});
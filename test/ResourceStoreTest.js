@@ -0,0 +1,48 @@
+import { assert } from 'chai';
+
+import ResourceStore from '../src/ResourceStore';
+
+describe('ResourceStore', () => {
+  const seed = [{ id: 1, title: 'a' }, { id: 2, title: 'b' }];
+
+  it('should return copies of the seed items', () => {
+    const store = new ResourceStore(seed);
+    const { items } = store;
+    items[0].title = 'changed';
+    assert.deepEqual(store.items, seed);
+    assert.deepEqual(store.get('2'), { id: 2, title: 'b' }, 'string id');
+    assert.isNull(store.get(3));
+  });
+
+  it('should create items with the next numeric id', () => {
+    const store = new ResourceStore(seed);
+    assert.deepEqual(store.create({ title: 'c' }), { id: 3, title: 'c' });
+    assert.deepEqual(store.create({ id: 'x', title: 'd' }), { id: 'x', title: 'd' });
+    assert.isNull(store.create({ id: 1 }), 'existing id');
+    assert.deepEqual(store.items.map(({ id }) => id), [1, 2, 3, 'x']);
+  });
+
+  it('should replace, patch and delete items', () => {
+    const store = new ResourceStore(seed);
+    assert.deepEqual(store.replace(1, { title: 'A' }), { id: 1, title: 'A' });
+    assert.deepEqual(store.patch('2', { id: 5, done: true }), { id: 2, title: 'b', done: true });
+    assert.isTrue(store.delete(1));
+    assert.isFalse(store.delete(1));
+    assert.isNull(store.replace(1, {}));
+    assert.isNull(store.patch(1, {}));
+    assert.deepEqual(store.items, [{ id: 2, title: 'b', done: true }]);
+  });
+
+  it('should support another id field and restore the seed with reset()', () => {
+    const store = new ResourceStore([{ key: 'k1' }], 'key');
+    assert.deepEqual(store.create({}), { key: 1 });
+    store.reset();
+    assert.deepEqual(store.items, [{ key: 'k1' }]);
+  });
+
+  it('should treat a null seed and id field like the defaults', () => {
+    const store = new ResourceStore(null, null);
+    assert.deepEqual(store.items, []);
+    assert.deepEqual(store.create({ title: 'a' }), { id: 1, title: 'a' });
+  });
+});
@@ -0,0 +1,59 @@
+import { assert } from 'chai';
+
+import Route from '../src/Route';
+
+describe('Route', () => {
+  describe('name', () => {
+    it('should default to the method and matcher', () => {
+      assert.equal(new Route('GET', '/users/:id', {}).name, 'GET /users/:id');
+      assert.equal(new Route('POST', /users/, {}).name, 'POST /users/');
+      assert.equal(new Route('PUT', { url: '/users', json: {} }, {}).name, 'PUT /users (with json)');
+      assert.equal(new Route(null, undefined, {}).name, 'default');
+    });
+
+    it('should support the name option', () => {
+      assert.equal(new Route('GET', '/users/:id', {}, { name: 'getUser' }).name, 'getUser');
+    });
+  });
+
+  it('should record calls', () => {
+    const route = new Route('GET', '/users/:id', {});
+    assert.equal(route.count, 0);
+    assert.deepEqual(route.calls, []);
+
+    const call = { method: 'GET', url: '/users/1', params: { id: '1' } };
+    route.recordCall(call);
+    assert.equal(route.count, 1);
+    assert.deepEqual(route.calls, [call]);
+  });
+
+  describe('verify()', () => {
+    const routeWithCalls = (count) => {
+      const route = new Route('GET', '/path', {});
+      for (let i = 0; i < count; i++) {
+        route.recordCall({});
+      }
+      return route;
+    };
+
+    it('should not throw without expectation', () => {
+      routeWithCalls(0).verify();
+      routeWithCalls(3).verify();
+    });
+
+    it('should check times()', () => {
+      const route = routeWithCalls(2);
+      assert.equal(route.times(2), route, 'returns this');
+      route.verify();
+      assert.throws(() => route.times(3).verify(), 'Route "GET /path" expected 3 requests but received 2.');
+      assert.throws(() => route.times(1).verify(), 'Route "GET /path" expected 1 request but received 2.');
+    });
+
+    it('should check once() and never()', () => {
+      routeWithCalls(1).once().verify();
+      routeWithCalls(0).never().verify();
+      assert.throws(() => routeWithCalls(2).once().verify(), 'expected 1 request but received 2');
+      assert.throws(() => routeWithCalls(1).never().verify(), 'expected 0 requests but received 1');
+    });
+  });
+});
@@ -0,0 +1,89 @@
+import { assert } from 'chai';
+
+import VirtualClock from '../src/VirtualClock';
+
+describe('VirtualClock', () => {
+  it('should start at the given time', () => {
+    assert.equal(new VirtualClock().now(), 0);
+    assert.equal(new VirtualClock(1000).now(), 1000);
+  });
+
+  describe('tick()', () => {
+    it('should run the timers that are due in order', () => {
+      const clock = new VirtualClock();
+      const calls = [];
+      clock.setTimeout(() => calls.push(`b${clock.now()}`), 20);
+      clock.setTimeout(() => calls.push(`a${clock.now()}`), 10);
+      clock.setTimeout(() => calls.push(`c${clock.now()}`), 20);
+      clock.setTimeout(() => calls.push('late'), 31);
+
+      assert.strictEqual(clock.tick(30), clock, 'chainable');
+      assert.deepEqual(calls, ['a10', 'b20', 'c20']);
+      assert.equal(clock.now(), 30);
+      assert.equal(clock.timerCount, 1);
+    });
+
+    it('should run timers scheduled by timers when they are due', () => {
+      const clock = new VirtualClock();
+      const calls = [];
+      clock.setTimeout(() => {
+        calls.push('outer');
+        clock.setTimeout(() => calls.push('inner'), 0);
+        clock.setTimeout(() => calls.push('later'), 100);
+      }, 10);
+
+      clock.tick(10);
+      assert.deepEqual(calls, ['outer', 'inner']);
+    });
+  });
+
+  it('should cancel timers with clearTimeout()', () => {
+    const clock = new VirtualClock();
+    const calls = [];
+    const id = clock.setTimeout(() => calls.push('cancelled'), 10);
+    clock.setTimeout(() => calls.push('kept'), 10);
+    clock.clearTimeout(id);
+
+    clock.tick(10);
+    assert.deepEqual(calls, ['kept']);
+  });
+
+  describe('runAll()', () => {
+    it('should run all the timers and advance the clock', () => {
+      const clock = new VirtualClock();
+      const calls = [];
+      clock.setTimeout(() => {
+        calls.push('a');
+        clock.setTimeout(() => calls.push('b'), 500);
+      }, 100);
+
+      clock.runAll();
+      assert.deepEqual(calls, ['a', 'b']);
+      assert.equal(clock.now(), 600);
+      assert.equal(clock.timerCount, 0);
+    });
+
+    it('should throw on infinite loops', () => {
+      const clock = new VirtualClock();
+      const loop = () => clock.setTimeout(loop, 10);
+      loop();
+
+      assert.throws(() => clock.runAll(), 'Aborting after running 1000 timers, assuming an infinite loop.');
+    });
+  });
+
+  it('should only run the timers already scheduled with runPending()', () => {
+    const clock = new VirtualClock();
+    const calls = [];
+    clock.setTimeout(() => {
+      calls.push('a');
+      clock.setTimeout(() => calls.push('new'), 0);
+    }, 10);
+    clock.setTimeout(() => calls.push('b'), 20);
+
+    clock.runPending();
+    assert.deepEqual(calls, ['a', 'b']);
+    assert.equal(clock.now(), 20);
+    assert.equal(clock.timerCount, 1);
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Cookie stored in a CookieJar
+ */
+export interface Cookie {
+  name: string;
+  value: string;
+  domain: string;
+  path: string;
+
+  /**
+   * Expiry time in milliseconds or null for session cookies
+   */
+  expires: number | null;
+  secure: boolean;
+  httpOnly: boolean;
+  hostOnly: boolean;
+  sameSite: string | null;
+}
+
+/**
+ * Cookie store for MockXhr and MockXhrServer. Stores the cookies of Set-Cookie response headers
+ * and returns the Cookie request header of a url. Expiry is measured with a clock, e.g. a
+ * VirtualClock. Relative urls are resolved against http://localhost/.
+ */
+export default class CookieJar {
+  /**
+   * Constructor
+   *
+   * @param clock clock used to expire cookies (default: real time)
+   */
+  constructor(clock?: { now(): number });
+
+  /**
+   * Clock used to expire cookies
+   */
+  clock: { now(): number };
+
+  /**
+   * Store the cookie of a Set-Cookie response header value. Invalid cookies are ignored.
+   *
+   * @param setCookie Set-Cookie header value (e.g. 'id=1; Path=/; HttpOnly')
+   * @param url url of the response that sets the cookie
+   * @returns whether the cookie was stored or removed (when expired)
+   */
+  setCookie(setCookie: string, url: string): boolean;
+
+  /**
+   * Get the cookies sent to a url, in the order of the Cookie request header.
+   *
+   * @param url request url
+   * @returns cookies
+   */
+  getCookies(url: string): Cookie[];
+
+  /**
+   * @param url request url
+   * @returns Cookie request header value for the url or null if there are no cookies
+   */
+  getCookieHeader(url: string): string | null;
+
+  /**
+   * All the unexpired cookies
+   */
+  readonly cookies: Cookie[];
+
+  /**
+   * Remove all the cookies.
+   */
+  clear(): void;
+}
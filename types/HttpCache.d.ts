@@ -0,0 +1,52 @@
+/**
+ * Response stored in an HttpCache
+ */
+export interface CachedResponse {
+  url: string;
+  status: number;
+  statusText: string;
+  headers: Record<string, string>;
+  body: any;
+
+  /**
+   * Time in milliseconds when the response was stored or last revalidated
+   */
+  responseTime: number;
+}
+
+/**
+ * Private HTTP cache for MockXhr and MockXhrServer, like the HTTP cache of a browser. Stores the
+ * responses to GET requests according to their Cache-Control, Expires, ETag, Last-Modified and
+ * Vary headers and tells whether they are fresh. Freshness is measured with a clock, e.g. a
+ * VirtualClock. One response is stored per url.
+ */
+export default class HttpCache {
+  /**
+   * Constructor
+   *
+   * @param clock clock used to measure the age of the responses (default: real time)
+   */
+  constructor(clock?: { now(): number });
+
+  /**
+   * Clock used to measure the age of the responses
+   */
+  clock: { now(): number };
+
+  /**
+   * Remove the stored response of a url.
+   *
+   * @param url request url
+   */
+  invalidate(url: string): void;
+
+  /**
+   * All the stored responses
+   */
+  readonly entries: CachedResponse[];
+
+  /**
+   * Remove all the stored responses.
+   */
+  clear(): void;
+}
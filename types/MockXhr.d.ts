@@ -1,4 +1,7 @@
+import CookieJar from "./CookieJar"
+import HttpCache from "./HttpCache"
 import EventTarget from "./EventTarget"
+import { Clock } from "./VirtualClock"
 import XMLHttpRequestEventTarget from "./XMLHttpRequestEventTarget"
 
 export default class MockXhr extends XMLHttpRequestEventTarget {
@@ -13,14 +16,19 @@ export default class MockXhr extends XMLHttpRequestEventTarget {
   readonly readyState: number;
 
   /**
-   * Set the request method and url.
+   * Set the request method and url. The url is resolved relative to the base url of the MockXhr
+   * class (see MockXhr.baseUrl). Relative urls stay relative if there is no base url. The url
+   * property is set to the parsed url (e.g. 'url' becomes '/url').
    * https://xhr.spec.whatwg.org/#the-open()-method
    *
    * @param method request HTTP method (GET, POST, etc.)
    * @param url request url
-   * @param async async request flag (only true is supported)
+   * @param async async request flag. Synchronous requests call the onSend hooks synchronously
+   * from send(), which throws if they don't produce a complete response.
+   * @param username username set in absolute urls (optional)
+   * @param password password set in absolute urls (optional)
    */
-  open(method: string, url: string, async?: boolean): void;
+  open(method: string, url: string, async?: boolean, username?: string | null, password?: string | null): void;
 
   /**
    * Add a request header value.
@@ -49,6 +57,14 @@ export default class MockXhr extends XMLHttpRequestEventTarget {
    */
   abort(): void;
 
+  /**
+   * Request body serialized like a browser sends it: URLSearchParams bodies as a string and
+   * FormData bodies as a multipart/form-data string (or Blob when they contain files). Other
+   * request bodies are returned as-is.
+   */
+  readonly serializedBody: any;
+
+  readonly responseURL: string;
   readonly status: number;
   readonly statusText: string;
 
@@ -116,10 +132,19 @@ export default class MockXhr extends XMLHttpRequestEventTarget {
    */
   downloadProgress(transmitted: number, length: number): void;
 
+  /**
+   * Receive a chunk of the response body. Will set the state to LOADING and fire a response
+   * progress event. The response body received so far is available in responseText and response.
+   * The total of the progress event is the Content-Length response header, if any.
+   *
+   * @param chunk response body chunk
+   */
+  downloadChunk(chunk: string): void;
+
   /**
    * Set the response body. Will set the state to DONE.
    *
-   * @param body response body (default null)
+   * @param body response body (default null or the chunks received by downloadChunk())
    */
   setResponseBody(body?: any): void;
 
@@ -135,4 +160,25 @@ export default class MockXhr extends XMLHttpRequestEventTarget {
 
   // Global flag to enable the effects of the timeout attribute
   static timeoutEnabled: boolean;
+
+  // Base url used to resolve request urls. Relative urls stay relative when it's null.
+  static baseUrl: string | null;
+
+  // Origin of the page that sends the requests for the CORS simulation. Disabled when it's null.
+  static corsOrigin: string | null;
+
+  // Cookie jar that stores the cookies of the responses and sets the Cookie header of the requests.
+  // Cookies are disabled when it's null.
+  static cookieJar: CookieJar | null;
+
+  // HTTP cache that stores the responses to GET requests, serves the fresh ones without calling
+  // the onSend hooks and revalidates the stale ones. Caching is disabled when it's null.
+  static httpCache: HttpCache | null;
+
+  // Parses document responses. Called with the response text and either 'text/html' or
+  // 'application/xml'. Returns a Document or null on failure. Uses DOMParser by default.
+  static documentParser: ((text: string, type: 'text/html' | 'application/xml') => any) | null;
+
+  // Clock used for the timeout attribute and to call the onSend hooks (default: real timers)
+  static clock: Clock;
 }
@@ -1,4 +1,8 @@
+import CookieJar from "./CookieJar"
+import HttpCache from "./HttpCache"
+import ResourceStore from "./ResourceStore"
 import MockXhr from "./MockXhr"
+import { Clock } from "./VirtualClock"
 
 export class MockXhrServer {
   /**
@@ -6,8 +10,9 @@ export class MockXhrServer {
    *
    * @param xhrMock XMLHttpRequest mock class
    * @param routes routes
+   * @param options server options
    */
-  constructor(xhrMock: MockXhr, routes?: object);
+  constructor(xhrMock: MockXhr, routes?: object, options?: MockXhrServer.Options);
 
   /**
    * Install the server's XMLHttpRequest mock in the context. Revert with remove().
@@ -19,6 +24,8 @@ export class MockXhrServer {
 
   /**
    * Remove the server as the global XMLHttpRequest mock. Reverts the actions of install(global).
+   * Then, in strict mode, throws an error that reports the requests that didn't match any route
+   * since they were last reported (see verify()).
    */
   remove(): void;
 
@@ -32,75 +39,139 @@ export class MockXhrServer {
    */
   enableTimeout(): void;
 
+  /**
+   * Clock used by the server and its XMLHttpRequest mock (see Options.clock)
+   */
+  readonly clock: Clock;
+
+  /**
+   * Cookie jar of the server's XMLHttpRequest mock or null (see Options.cookies)
+   */
+  readonly cookies: CookieJar | null;
+
+  /**
+   * HTTP cache of the server's XMLHttpRequest mock or null (see Options.cache)
+   */
+  readonly cache: HttpCache | null;
+
   /**
    * Add a GET request handler.
    *
-   * @param matcher url matcher
+   * @param matcher url matcher or matcher object
    * @param handler request handler
+   * @param options route options
    * @returns this
    */
   get(
-    matcher: MockXhrServer.UrlMatcher,
-    handler: MockXhrServer.RequestHandler
+    matcher: MockXhrServer.RouteMatcher,
+    handler: MockXhrServer.RequestHandler,
+    options?: MockXhrServer.RouteOptions
   ): this;
 
   /**
    * Add a POST request handler.
    *
-   * @param matcher url matcher
+   * @param matcher url matcher or matcher object
    * @param handler request handler
+   * @param options route options
    * @returns this
    */
   post(
-    matcher: MockXhrServer.UrlMatcher,
-    handler: MockXhrServer.RequestHandler
+    matcher: MockXhrServer.RouteMatcher,
+    handler: MockXhrServer.RequestHandler,
+    options?: MockXhrServer.RouteOptions
   ): this;
 
   /**
    * Add a PUT request handler.
    *
-   * @param matcher url matcher
+   * @param matcher url matcher or matcher object
    * @param handler request handler
+   * @param options route options
    * @returns this
    */
   put(
-    matcher: MockXhrServer.UrlMatcher,
-    handler: MockXhrServer.RequestHandler
+    matcher: MockXhrServer.RouteMatcher,
+    handler: MockXhrServer.RequestHandler,
+    options?: MockXhrServer.RouteOptions
   ): this;
 
   /**
    * Add a DELETE request handler.
    *
-   * @param matcher url matcher
+   * @param matcher url matcher or matcher object
    * @param handler request handler
+   * @param options route options
    * @returns this
    */
   delete(
-    matcher: MockXhrServer.UrlMatcher,
-    handler: MockXhrServer.RequestHandler
+    matcher: MockXhrServer.RouteMatcher,
+    handler: MockXhrServer.RequestHandler,
+    options?: MockXhrServer.RouteOptions
   ): this;
 
   /**
    * Add a request handler.
    *
    * @param method HTTP method
-   * @param matcher url matcher
+   * @param matcher url matcher or matcher object
    * @param handler request handler
+   * @param options route options
    * @returns this
    */
   addHandler(
     method: string,
-    matcher: MockXhrServer.UrlMatcher,
-    handler: MockXhrServer.RequestHandler
+    matcher: MockXhrServer.RouteMatcher,
+    handler: MockXhrServer.RequestHandler,
+    options?: MockXhrServer.RouteOptions
+  ): this;
+
+  /**
+   * Add GET and HEAD request handlers that serve a static resource with support for range
+   * requests: 206 responses with the requested range or a multipart/byteranges body for multiple
+   * ranges, and 416 responses when no range is satisfiable.
+   *
+   * @param matcher url matcher or matcher object
+   * @param resource static resource. The body is a string or a BufferSource.
+   * @param options route options. A name option names the routes '<name> GET' and '<name> HEAD'.
+   * @returns this
+   */
+  staticRoute(
+    matcher: MockXhrServer.RouteMatcher,
+    resource: MockXhrServer.StaticResource,
+    options?: MockXhrServer.RouteOptions
   ): this;
 
+  /**
+   * Add the routes of a REST resource backed by an in-memory store: list (GET url, with filter
+   * query parameters and _page and _limit pagination), get (GET url/:id), create (POST url),
+   * replace (PUT url/:id), patch (PATCH url/:id) and delete (DELETE url/:id). Request and response
+   * bodies are JSON.
+   *
+   * @param url url of the resource collection (e.g. '/api/todos')
+   * @param options resource options
+   * @param routeOptions route options of all the routes. A name option names the routes
+   * '<name> list', '<name> get', '<name> create', '<name> replace', '<name> patch' and
+   * '<name> delete'.
+   * @returns store of the items
+   */
+  resource<T extends object = Record<string, any>>(
+    url: string,
+    options?: MockXhrServer.ResourceOptions<T>,
+    routeOptions?: MockXhrServer.RouteOptions
+  ): ResourceStore<T>;
+
   /**
    * Set the default request handler for requests that don't match any route.
    *
    * @param handler request handler
+   * @param options route options
    * @returns this
    */
-  setDefaultHandler(handler: MockXhrServer.RequestHandler): this;
+  setDefaultHandler(
+    handler: MockXhrServer.RequestHandler,
+    options?: MockXhrServer.RouteOptions
+  ): this;
 
   /**
    * Return 404 responses for requests that don't match any route.
@@ -110,9 +181,126 @@ export class MockXhrServer {
   setDefault404(): this;
 
   /**
-   * @returns list of requests received by the server. Entries: { method, url }
+   * Add a temporary request handler that overrides the other routes until resetOverrides() is
+   * called. The last override added takes precedence.
+   *
+   * @param method HTTP method
+   * @param matcher url matcher or matcher object
+   * @param handler request handler
+   * @param options route options
+   * @returns this
+   */
+  use(
+    method: string,
+    matcher: MockXhrServer.RouteMatcher,
+    handler: MockXhrServer.RequestHandler,
+    options?: MockXhrServer.RouteOptions
+  ): this;
+
+  /**
+   * Remove all the request handlers added with use().
+   *
+   * @returns this
+   */
+  resetOverrides(): this;
+
+  /**
+   * Remove a route.
+   *
+   * @param route route or route name
+   * @returns this
+   */
+  removeRoute(route: MockXhrServer.Route | string): this;
+
+  /**
+   * Remove all the routes, including the default route and overrides, and clear the request log
+   * and the pending requests. The Promises of the pending waitForRequest() calls never settle. The
+   * server stays installed and keeps its options.
+   *
+   * @returns this
+   */
+  reset(): this;
+
+  /**
+   * Get a route to inspect the requests it handled and set its expected number of calls.
+   *
+   * @param name route name (see RouteOptions.name) or 'default' for the default route
+   * @returns route
+   */
+  route(name: string): MockXhrServer.Route;
+
+  /**
+   * Throw an error that reports the requests that didn't match any route in strict mode (see
+   * Options.strict) and all the routes whose expected number of calls (see Route.times()) is not
+   * met or exceeded. Unhandled requests are only reported once by verify() or remove().
+   */
+  verify(): void;
+
+  /**
+   * @returns list of requests received by the server. Entries: { method, url, headers, body }. The
+   * list is live: it grows as the server receives requests.
    */
   getRequestLog(): MockXhrServer.RequestLog;
+
+  /**
+   * Get the requests received by the server that match a filter.
+   *
+   * @param filter request filter (optional)
+   * @returns requests in the order received
+   */
+  getRequests(filter?: MockXhrServer.RequestFilter): MockXhrServer.Request[];
+
+  /**
+   * @param filter request filter (optional)
+   * @returns first request that matches the filter
+   */
+  firstRequest(filter?: MockXhrServer.RequestFilter): MockXhrServer.Request | undefined;
+
+  /**
+   * @param filter request filter (optional)
+   * @returns last request that matches the filter
+   */
+  lastRequest(filter?: MockXhrServer.RequestFilter): MockXhrServer.Request | undefined;
+
+  /**
+   * Wait for the server to receive a request that matches a filter. Only requests received after
+   * the call are considered.
+   *
+   * @param filter request filter
+   * @param options options
+   * @returns Promise that resolves with the MockXhr of the request
+   */
+  waitForRequest(
+    filter?: MockXhrServer.RequestFilter,
+    options?: MockXhrServer.WaitForRequestOptions
+  ): Promise<MockXhr>;
+
+  /**
+   * Get the requests queued in manual mode (see Options.manual) that are waiting for a response.
+   * Aborted and timed out requests are removed from the queue.
+   *
+   * @returns pending requests in the order received
+   */
+  pending(): MockXhrServer.PendingRequest[];
+
+  /**
+   * Answer the oldest pending request.
+   *
+   * @param response response (default: use the request handler of the request's route)
+   * @returns this
+   */
+  respondNext(
+    response?:
+      Partial<MockXhrServer.RequestHandlerResponse>
+      | PromiseLike<Partial<MockXhrServer.RequestHandlerResponse>>
+  ): this;
+
+  /**
+   * Answer all the pending requests in order with the request handlers of their routes.
+   *
+   * @returns this
+   */
+  flush(): this;
 }
 
 export namespace MockXhrServer {
@@ -121,6 +309,65 @@ export namespace MockXhrServer {
     | string
     | RegExp
 
+  type QueryValue = string | string[];
+
+  type QueryValueMatcher =
+    ((value: QueryValue | undefined) => boolean)
+    | string
+    | number
+    | RegExp
+    | (string | number)[]
+
+  type QueryMatcher =
+    ((query: Record<string, QueryValue>) => boolean)
+    | Record<string, QueryValueMatcher>
+
+  type HeaderValueMatcher =
+    ((value: string | null) => boolean)
+    | string
+    | RegExp
+    | null
+
+  interface RouteMatcherObject {
+    /**
+     * Request url matcher. Matches all urls when omitted.
+     */
+    url?: UrlMatcher;
+
+    /**
+     * Query constraint. Query parameters not in the constraint are allowed unless exactQuery is set.
+     */
+    query?: QueryMatcher;
+
+    /**
+     * Whether query parameters not in the query constraint are rejected
+     */
+    exactQuery?: boolean;
+
+    /**
+     * Request header constraint. Header names are case-insensitive. A null value requires the
+     * header to be absent.
+     */
+    headers?: Record<string, HeaderValueMatcher>;
+
+    /**
+     * Expected subset of the request body parsed as JSON
+     */
+    json?: any;
+
+    /**
+     * Request body predicate, RegExp or exact value
+     */
+    body?: ((body: any) => boolean) | RegExp | string;
+
+    /**
+     * Expected value of the withCredentials attribute
+     */
+    withCredentials?: boolean;
+  }
+
+  type RouteMatcher = UrlMatcher | RouteMatcherObject
+
   interface RequestHandlerResponse {
     status: number;
     statusText: string;
@@ -128,7 +375,72 @@ export namespace MockXhrServer {
     body: string;
   }
 
-  type RequestHandlerCallback = (xhr: MockXhr) => void;
+  interface ResourceOptions<T> {
+    /**
+     * Initial items (default none)
+     */
+    seed?: T[] | null;
+
+    /**
+     * Name of the id field of the items (default 'id')
+     */
+    idField?: string | null;
+  }
+
+  interface StaticResource {
+    headers?: Record<string, string>;
+    body: string | ArrayBuffer | ArrayBufferView;
+  }
+
+  interface RequestHandlerRequest {
+    /**
+     * Route parameters extracted by the url matcher
+     */
+    params: Record<string, string>;
+
+    /**
+     * Parsed query string of the request url. Repeated parameters are arrays.
+     */
+    query: Record<string, QueryValue>;
+
+    /**
+     * Components of the request url. The components before pathname are empty strings for
+     * relative urls.
+     */
+    url: UrlComponents;
+
+    /**
+     * Request body serialized like a browser sends it (see MockXhr.serializedBody)
+     */
+    serializedBody: any;
+
+    /**
+     * Cookies of the Cookie request header by name
+     */
+    cookies: Record<string, string>;
+  }
+
+  interface UrlComponents {
+    href: string;
+    origin: string;
+    protocol: string;
+    username: string;
+    password: string;
+    host: string;
+    hostname: string;
+    port: string;
+    pathname: string;
+    search: string;
+    hash: string;
+  }
+
+  type RequestHandlerResult =
+    void
+    | Partial<RequestHandlerResponse>
+    | PromiseLike<void | Partial<RequestHandlerResponse>>
+
+  type RequestHandlerCallback =
+    (xhr: MockXhr, request: RequestHandlerRequest) => RequestHandlerResult;
 
   type RequestHandler =
     Partial<RequestHandlerResponse>
@@ -143,6 +455,276 @@ export namespace MockXhrServer {
   }
 
   type RequestLog = ReadonlyArray<RequestLogEntry>
+
+  interface Request extends RequestLogEntry {
+    xhr: MockXhr;
+
+    /**
+     * Route that handled the request or null if unhandled
+     */
+    route: Route | null;
+
+    /**
+     * Time when the request was received (ms since epoch)
+     */
+    timestamp: number;
+
+    /**
+     * Time when the request completed (ms since epoch) or null
+     */
+    endTimestamp: number | null;
+
+    status: number;
+    readyState: number;
+    aborted: boolean;
+    timedOut: boolean;
+
+    /**
+     * Whether the request was served by the HTTP cache without reaching the routes
+     */
+    cacheHit: boolean;
+  }
+
+  type RequestFilter =
+    {
+      method?: string;
+      url?: UrlMatcher;
+      route?: Route | string;
+    }
+    | string
+    | RegExp
+    | ((request: Request) => boolean)
+
+  interface WaitForRequestOptions {
+    /**
+     * Time in milliseconds after which the Promise is rejected (default: none)
+     */
+    timeout?: number;
+  }
+
+  interface PendingRequest {
+    readonly xhr: MockXhr;
+    readonly method: string;
+    readonly url: string;
+    readonly route: Route;
+    readonly params: Record<string, string>;
+    readonly query: Record<string, QueryValue>;
+
+    /**
+     * Answer the request. Throws if the request is no longer pending.
+     *
+     * @param response response (default: use the request handler of the request's route)
+     */
+    respond(response?: Partial<RequestHandlerResponse> | PromiseLike<Partial<RequestHandlerResponse>>): void;
+  }
+
+  interface RouteCall extends RequestLogEntry {
+    params: Record<string, string>;
+    query: Record<string, QueryValue>;
+  }
+
+  interface Route {
+    readonly method: string | null;
+    readonly matcher: RouteMatcher | undefined;
+    readonly handler: RequestHandler;
+    readonly options: RouteOptions;
+
+    /**
+     * Route name. Defaults to the method and matcher (e.g. 'GET /users/:id') or 'default' for the
+     * default route.
+     */
+    readonly name: string;
+
+    /**
+     * Number of requests handled by the route
+     */
+    readonly count: number;
+
+    /**
+     * Requests handled by the route
+     */
+    readonly calls: RouteCall[];
+
+    /**
+     * Expect the route to handle a number of requests. Checked by verify().
+     *
+     * @param count expected number of requests
+     * @returns this
+     */
+    times(count: number): this;
+
+    /**
+     * Expect the route to handle exactly one request. Checked by verify().
+     *
+     * @returns this
+     */
+    once(): this;
+
+    /**
+     * Expect the route to handle no requests. Checked by verify().
+     *
+     * @returns this
+     */
+    never(): this;
+
+    /**
+     * Throw an error if the route's expected number of requests is not met or exceeded.
+     */
+    verify(): void;
+  }
+
+  interface Options {
+    /**
+     * Response for request handlers that throw an error or return a rejected Promise: a response
+     * object (default { status: 500 }) or 'networkError' to simulate a network error
+     */
+    handlerErrorResponse?: Partial<RequestHandlerResponse> | 'networkError';
+
+    /**
+     * Simulated latency of all responses
+     */
+    delay?: Delay | DelayPhases;
+
+    /**
+     * Deliver all string response bodies in chunks
+     */
+    chunked?: ChunkedOptions;
+
+    /**
+     * Simulate upload progress for all request bodies
+     */
+    upload?: UploadOptions;
+
+    /**
+     * Base url used to resolve request urls. Sets MockXhr.baseUrl.
+     */
+    baseUrl?: string | null;
+
+    /**
+     * Clock used for request dispatch, delays and timestamps, e.g. a VirtualClock. Sets
+     * MockXhr.clock.
+     */
+    clock?: Clock;
+
+    /**
+     * Enable the CORS simulation. Sets MockXhr.corsOrigin.
+     */
+    cors?: CorsOptions;
+
+    /**
+     * Enable cookies. Either true for a new CookieJar that uses the server's clock and is cleared
+     * by reset() or a CookieJar. Sets MockXhr.cookieJar.
+     */
+    cookies?: boolean | CookieJar;
+
+    /**
+     * Enable the HTTP cache. Either true for a new HttpCache that uses the server's clock and is
+     * cleared by reset() or an HttpCache. Sets MockXhr.httpCache. Requests served by the cache
+     * don't reach the routes.
+     */
+    cache?: boolean | HttpCache;
+
+    /**
+     * Whether requests that don't match any route are errors (default false). They get a network
+     * error response and remove() or verify() throws an error that describes them.
+     */
+    strict?: boolean;
+
+    /**
+     * Reaction to requests that don't match any route (default 'ignore'). 'error' logs an error and
+     * gives them a network error response, 'warn' logs a warning.
+     */
+    onUnhandledRequest?: 'error' | 'warn' | 'ignore' | ((xhr: MockXhr, message: string) => void);
+
+    /**
+     * Queue the requests that match a route until they are answered with pending(), respondNext()
+     * or flush() (default false)
+     */
+    manual?: boolean;
+  }
+
+  interface ChunkedOptions {
+    /**
+     * Chunk size (default 1024)
+     */
+    size?: number;
+
+    /**
+     * Delay between chunks (default 0)
+     */
+    delay?: Delay;
+  }
+
+  interface CorsOptions {
+    /**
+     * Origin of the page that sends the requests, e.g. 'https://example.com'
+     */
+    origin: string;
+  }
+
+  interface UploadOptions {
+    /**
+     * Number of upload progress events (default 1)
+     */
+    steps?: number;
+
+    /**
+     * Bytes transmitted per upload progress event. Overrides steps.
+     */
+    rate?: number;
+
+    /**
+     * Delay between upload progress events (default 0)
+     */
+    delay?: Delay;
+  }
+
+  /**
+   * Delay in milliseconds, [min, max] range for random delays or function of the request
+   */
+  type Delay =
+    number
+    | [number, number]
+    | ((xhr: MockXhr) => number)
+
+  interface DelayPhases {
+    /**
+     * Delay before the response headers
+     */
+    headers?: Delay;
+
+    /**
+     * Delay between the response headers and body
+     */
+    body?: Delay;
+  }
+
+  interface RouteOptions {
+    /**
+     * Simulated latency of the route's responses. Overrides the server delay.
+     */
+    delay?: Delay | DelayPhases;
+
+    /**
+     * Deliver string response bodies in chunks. Overrides the server chunked option.
+     */
+    chunked?: ChunkedOptions;
+
+    /**
+     * Simulate upload progress for request bodies. Overrides the server upload option.
+     */
+    upload?: UploadOptions;
+
+    /**
+     * Route name for MockXhrServer.route() (default: method and matcher, e.g. 'GET /users/:id')
+     */
+    name?: string;
+
+    /**
+     * Queue the route's requests until they are answered. Overrides the server manual option.
+     */
+    manual?: boolean;
+  }
 }
 
 export default MockXhrServer
@@ -0,0 +1,69 @@
+/**
+ * In-memory store of the items of a REST resource (see MockXhrServer.resource()). Items are plain
+ * objects identified by their id field. The store keeps copies of the items and returns copies.
+ * Ids are compared as strings, like the ids of request urls.
+ */
+export default class ResourceStore<T extends object = Record<string, any>> {
+  /**
+   * Constructor
+   *
+   * @param seed initial items
+   * @param idField name of the id field of the items (default 'id')
+   */
+  constructor(seed?: T[] | null, idField?: string | null);
+
+  /**
+   * Name of the id field of the items
+   */
+  readonly idField: string;
+
+  /**
+   * All the items, in creation order
+   */
+  readonly items: T[];
+
+  /**
+   * @param id item id
+   * @returns item or null if there is none
+   */
+  get(id: string | number): T | null;
+
+  /**
+   * Add an item. Items without id get the next numeric id: one more than the largest numeric id.
+   *
+   * @param item new item
+   * @returns created item or null if an item with the same id exists
+   */
+  create(item: Partial<T>): T | null;
+
+  /**
+   * Replace an item. The new item keeps the id.
+   *
+   * @param id item id
+   * @param item new item
+   * @returns replaced item or null if there is none
+   */
+  replace(id: string | number, item: Partial<T>): T | null;
+
+  /**
+   * Update the fields of an item. The item keeps its id.
+   *
+   * @param id item id
+   * @param changes changed fields
+   * @returns updated item or null if there is none
+   */
+  patch(id: string | number, changes: Partial<T>): T | null;
+
+  /**
+   * Remove an item.
+   *
+   * @param id item id
+   * @returns whether the item existed
+   */
+  delete(id: string | number): boolean;
+
+  /**
+   * Restore the initial items.
+   */
+  reset(): void;
+}
@@ -0,0 +1,73 @@
+/**
+ * Clock used by MockXhr and MockXhrServer for timers and time
+ */
+export interface Clock {
+  now(): number;
+  setTimeout(callback: () => void, delay?: number): any;
+  clearTimeout(id: any): void;
+}
+
+/**
+ * Virtual clock for MockXhr and MockXhrServer. Timers only run when the clock is advanced with
+ * tick(), runAll() or runPending(), which makes request dispatch, response delays and timeout
+ * events deterministic and instantaneous.
+ */
+export default class VirtualClock implements Clock {
+  /**
+   * Constructor
+   *
+   * @param now initial time in milliseconds (default 0)
+   */
+  constructor(now?: number);
+
+  /**
+   * @returns current time in milliseconds
+   */
+  now(): number;
+
+  /**
+   * Schedule a timer.
+   *
+   * @param callback function to call
+   * @param delay delay in milliseconds (default 0)
+   * @returns timer id for clearTimeout()
+   */
+  setTimeout(callback: () => void, delay?: number): number;
+
+  /**
+   * Cancel a timer.
+   *
+   * @param id timer id returned by setTimeout()
+   */
+  clearTimeout(id: number): void;
+
+  /**
+   * Number of scheduled timers
+   */
+  readonly timerCount: number;
+
+  /**
+   * Advance the clock, running the timers that are due in order. Includes timers scheduled by
+   * these timers.
+   *
+   * @param ms number of milliseconds
+   * @returns this
+   */
+  tick(ms: number): this;
+
+  /**
+   * Run all the timers, including the timers scheduled by these timers, advancing the clock to the
+   * time of the last one. Throws after a large number of timers to avoid infinite loops.
+   *
+   * @returns this
+   */
+  runAll(): this;
+
+  /**
+   * Run the timers currently scheduled, but not the timers that they schedule, advancing the clock
+   * to the time of the last one.
+   *
+   * @returns this
+   */
+  runPending(): this;
+}
@@ -1,5 +1,8 @@
+import CookieJar from "./CookieJar"
+import HttpCache from "./HttpCache"
 import MockXhr from "./MockXhr"
 import MockXhrServer from "./MockXhrServer"
+import VirtualClock from "./VirtualClock"
 
 /**
  * Create a new "local" MockXhr subclass. This makes it easier to have self-contained unit tests
@@ -13,15 +16,21 @@ declare function newMockXhr(): MockXhr;
 /**
  * Create a new mock server using MockXhr.
  *
+ * @param routes routes
+ * @param options server options
  * @returns new mock server
  */
 declare function newServer(
-  routes?: Record<string, [MockXhrServer.UrlMatcher, MockXhrServer.RequestHandler]>
+  routes?: Record<string, [MockXhrServer.RouteMatcher, MockXhrServer.RequestHandler]>,
+  options?: MockXhrServer.Options
 ): MockXhrServer;
 
 export {
+  CookieJar,
+  HttpCache,
   MockXhr,
   MockXhrServer,
+  VirtualClock,
   newServer,
   newMockXhr
 }
@@ -3,11 +3,30 @@ import MockXhr from '../MockXhr'
 import MockXhrServer from '../MockXhrServer'
 
 expectType<MockXhrServer.UrlMatcher>('http://foo/bar.com');
+expectType<MockXhrServer.UrlMatcher>('/users/:id/orders/:orderId?');
 expectType<MockXhrServer.UrlMatcher>(/http:/);
 expectType<MockXhrServer.UrlMatcher>((url: string) => url === 'http://foo/bar.com');
 expectError<MockXhrServer.UrlMatcher>((url: string) => url);
 expectError<MockXhrServer.UrlMatcher>(true);
 
+expectType<MockXhrServer.RouteMatcher>('/search');
+expectType<MockXhrServer.RouteMatcher>({ url: '/search', query: { q: 'a', page: 2 } });
+expectType<MockXhrServer.RouteMatcher>({
+    url: /search/,
+    query: { page: /\d+/, tag: ['a', 'b'], id: (value) => value !== undefined },
+    exactQuery: true,
+});
+expectType<MockXhrServer.RouteMatcher>({ query: (query) => query.q === 'a' });
+expectType<MockXhrServer.RouteMatcher>({
+    url: '/graphql',
+    headers: { 'Content-Type': /json/, 'X-Id': (value) => value === '42', 'X-Absent': null },
+    json: { operationName: 'getUser' },
+    body: (body) => body !== null,
+    withCredentials: true,
+});
+expectError<MockXhrServer.RouteMatcher>({ url: true });
+expectError<MockXhrServer.RouteMatcher>({ headers: { 'X-Id': 42 } });
+
 const requestHandlerResponse = {
     status: 501,
     statusText: 'Fail',
@@ -15,8 +34,15 @@ const requestHandlerResponse = {
     body: 'Failed',
 };
 const requestHandlerCallback = (xhr: MockXhr) => { xhr.respond(); };
+const requestParamsHandlerCallback = (xhr: MockXhr, request: MockXhrServer.RequestHandlerRequest) => {
+    xhr.respond(200, {}, `${request.params.id} ${request.query.q}`);
+};
 expectType<MockXhrServer.RequestHandler>({});
 expectType<MockXhrServer.RequestHandler>(requestHandlerResponse);
 expectType<MockXhrServer.RequestHandler>(requestHandlerCallback);
+expectType<MockXhrServer.RequestHandler>(requestParamsHandlerCallback);
+expectType<MockXhrServer.RequestHandler>(() => ({ status: 201, body: 'Created' }));
+expectType<MockXhrServer.RequestHandler>(() => Promise.resolve({ status: 201 }));
+expectType<MockXhrServer.RequestHandler>((xhr: MockXhr) => Promise.resolve().then(() => xhr.respond()));
 expectType<MockXhrServer.RequestHandler>([requestHandlerResponse, requestHandlerCallback]);
 expectError<MockXhrServer.RequestHandler>(true);
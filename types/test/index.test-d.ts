@@ -1,7 +1,9 @@
 import { expectType } from 'tsd'
-import { MockXhr, MockXhrServer, newMockXhr, newServer } from '../'
+import { CookieJar, HttpCache, MockXhr, MockXhrServer, VirtualClock, newMockXhr, newServer } from '../'
 
 expectType<MockXhr>(newMockXhr());
+expectType<string>(newMockXhr().responseURL);
+MockXhr.documentParser = (text: string, type: string) => null;
 
 expectType<MockXhrServer>(newServer());
 const handlerFn = (xhr: MockXhr) => { xhr.respond(); };
@@ -10,3 +12,69 @@ expectType<MockXhrServer>(newServer({
     'my-method': ['/my-method', { status: 201 }],
     post: ['/post', [handlerFn, { status: 404 }]],
 }));
+expectType<MockXhrServer>(newServer({}, { handlerErrorResponse: { status: 503 } }));
+expectType<MockXhrServer>(newServer({}, { handlerErrorResponse: 'networkError' }));
+expectType<MockXhrServer>(newServer({}, { delay: 100 }));
+expectType<MockXhrServer>(newServer({}, { delay: [50, 150] }));
+expectType<MockXhrServer>(newServer({}, { delay: { headers: (xhr: MockXhr) => 10, body: 100 } }));
+expectType<MockXhrServer>(newServer().get('/get', { status: 200 }, { delay: 100 }));
+expectType<MockXhrServer>(newServer({}, { chunked: { size: 16, delay: [5, 10] } }));
+expectType<MockXhrServer>(newServer().get('/stream', { body: 'a\nb\n' }, { chunked: {} }));
+expectType<MockXhrServer>(newServer({}, { upload: { rate: 1024, delay: 10 } }));
+expectType<MockXhrServer>(newServer().post('/upload', { status: 201 }, { upload: { steps: 10 } }));
+expectType<MockXhrServer>(newServer({}, { baseUrl: 'http://localhost:8080/' }));
+expectType<MockXhrServer>(newServer({}, { strict: true, onUnhandledRequest: 'warn' }));
+expectType<MockXhrServer>(newServer({}, { onUnhandledRequest: (xhr: MockXhr, message: string) => {} }));
+expectType<MockXhrServer>(newServer().get('/users', (xhr, { url }) => ({ body: url.pathname })));
+expectType<MockXhrServer>(newServer().post('/form', (xhr, { serializedBody }) => ({ body: serializedBody })));
+
+const server = newServer().get('/users/:id', {}, { name: 'getUser' });
+expectType<MockXhrServer.Route>(server.route('getUser'));
+expectType<MockXhrServer.Route>(server.route('getUser').times(2));
+expectType<number>(server.route('getUser').once().count);
+expectType<MockXhrServer.RouteCall[]>(server.route('getUser').never().calls);
+expectType<void>(server.verify());
+expectType<MockXhrServer>(server.use('GET', '/users/:id', { status: 500 }).resetOverrides());
+expectType<MockXhrServer>(server.removeRoute(server.route('getUser')).removeRoute('default'));
+expectType<MockXhrServer>(server.reset());
+expectType<MockXhrServer.Request[]>(server.getRequests({ method: 'GET', url: '/users/:id', route: 'getUser' }));
+expectType<MockXhrServer.Request | undefined>(server.firstRequest(/users/));
+expectType<MockXhrServer.Request | undefined>(server.lastRequest((request) => request.status === 200));
+expectType<Promise<MockXhr>>(server.waitForRequest('/users', { timeout: 100 }));
+expectType<MockXhrServer>(newServer({}, { manual: true }).get('/auto', {}, { manual: false }));
+expectType<MockXhrServer.PendingRequest[]>(server.pending());
+expectType<void>(server.pending()[0].respond({ status: 200 }));
+expectType<MockXhrServer>(server.respondNext(Promise.resolve({ status: 500 })).flush());
+
+const clock = new VirtualClock(1000);
+expectType<VirtualClock>(clock.tick(100).runPending().runAll());
+expectType<number>(clock.now() + clock.timerCount);
+expectType<MockXhrServer>(newServer({}, { clock }));
+expectType<number>(newServer().clock.now());
+expectType<MockXhrServer>(newServer({}, { cors: { origin: 'https://app.example.com' } }));
+
+const cookieJar = new CookieJar(clock);
+expectType<boolean>(cookieJar.setCookie('id=1; Path=/; HttpOnly', 'https://example.com/'));
+expectType<string | null>(cookieJar.getCookieHeader('/users'));
+expectType<number | null>(cookieJar.getCookies('/users')[0].expires);
+expectType<MockXhrServer>(newServer({}, { cookies: cookieJar }));
+expectType<CookieJar | null>(newServer({}, { cookies: true }).cookies);
+expectType<MockXhrServer>(newServer().get('/me', (xhr, { cookies }) => ({ body: cookies.id })));
+
+const httpCache = new HttpCache(clock);
+expectType<number>(httpCache.entries[0].responseTime);
+expectType<MockXhrServer>(newServer({}, { cache: httpCache }));
+expectType<HttpCache | null>(newServer({}, { cache: true }).cache);
+expectType<boolean>(newServer().getRequests()[0].cacheHit);
+
+expectType<MockXhrServer>(newServer().staticRoute('/file.txt', { body: 'text' }));
+expectType<MockXhrServer>(newServer().staticRoute(/\.bin$/, {
+  headers: { ETag: '"v1"' },
+  body: new Uint8Array(10),
+}, { delay: 10 }));
+
+const todos = newServer().resource('/api/todos', { seed: [{ id: 1, title: 'a' }] }, { delay: 10 });
+expectType<{ id: number, title: string } | null>(todos.get(1));
+expectType<boolean>(todos.delete('1'));
+expectType<string>(newServer().resource('/users', { idField: 'login' }).idField);
+expectType<Record<string, any>[]>(newServer().resource('/api/todos', { seed: null }).items);